@@ -3,6 +3,9 @@ import { Telegraf, Markup, session } from "telegraf";
 import { Store } from "./store.mjs";
 import { recordWalletSnapshot } from "./walletStatistics.mjs";
 import { createTradingEngine } from "./tradingEngine.mjs";
+import { BUILTIN_PARSERS } from "./signalParsers.mjs";
+import { listRecentSignals } from "./signalJournal.mjs";
+import { resolveSizingSettings, SIZING_MODES } from "./positionSizing.mjs";
 import {
   initMongo,
   mongoConfigured,
@@ -13,12 +16,21 @@ import {
   getTradingSummary,
 } from "./mongoClient.mjs";
 import {
+  computeTransferFee,
   executeSwapQuote,
   fetchWalletTokens,
   getSwapQuote,
   resolveSymbolToMint,
-  toRawAmount,
 } from "./features/swapWithJupiter.js";
+import { resolvePriorityFeeSettings } from "./features/priorityFees.js";
+import {
+  checkPriceImpact,
+  formatSlippageBps,
+  getQuotePriceImpactPercent,
+  resolvePriceImpactCaps,
+  SLIPPAGE_CHOICES_BPS,
+} from "./priceImpact.mjs";
+import { parseDecimalAmount, rawToNumber } from "./features/decimalAmount.js";
 
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const OWNER_ID = process.env.OWNER_ID ? Number(process.env.OWNER_ID) : null;
@@ -163,23 +175,71 @@ function makeKeyboard(settings) {
   const profitTargetLabel = `Profit target: ${formatPercent(
     settings.profitTargetPercent
   )}`;
+  const stopLossLabel = `Stop loss: ${formatPercent(settings.stopLossPercent)}`;
   const amountParts = [`Amount: ${formatTradeAmount(settings.amount)}`];
   if (settings.token) {
     amountParts.push(settings.token);
   }
   const amountLabel = amountParts.join(" ");
+  const sizingLabel = `Sizing: ${
+    SIZING_MODE_LABELS[resolveSizingSettings(settings).mode]
+  }`;
   const rows = [
     [Markup.button.callback(currencyLabel, "edit:token")],
     [Markup.button.callback(profitTargetLabel, "edit:profitTargetPercent")],
+    [Markup.button.callback(stopLossLabel, "edit:stopLossPercent")],
     [Markup.button.callback(amountLabel, "edit:amount")],
+    [Markup.button.callback(sizingLabel, "edit:sizingMode")],
     [Markup.button.callback("⬅️ Back", "settings:back")],
   ];
   return Markup.inlineKeyboard(rows);
 }
 
+const SIZING_MODE_LABELS = {
+  [SIZING_MODES.FIXED]: "fixed amount",
+  [SIZING_MODES.PERCENT_OF_BALANCE]: "% of balance",
+  [SIZING_MODES.MARKET_CAP_TIERS]: "market cap tiers",
+};
+
+function makeSizingKeyboard(settings) {
+  const sizing = resolveSizingSettings(settings);
+  const rows = Object.entries(SIZING_MODE_LABELS).map(([mode, label]) => [
+    Markup.button.callback(
+      `${sizing.mode === mode ? "✅ " : ""}${label}`,
+      `sizing:${mode}`
+    ),
+  ]);
+  rows.push([
+    Markup.button.callback(
+      `Balance share: ${formatPercent(sizing.balancePercent)}`,
+      "edit:sizingBalancePercent"
+    ),
+  ]);
+  rows.push([Markup.button.callback("⬅️ Back", "sizing:back")]);
+  return Markup.inlineKeyboard(rows);
+}
+
+function sizingPromptText(settings) {
+  const sizing = resolveSizingSettings(settings);
+  const tiers = sizing.tiers.length
+    ? sizing.tiers
+        .map((tier) => `≥ ${tier.minMarketCap}: ${tier.amount}`)
+        .join(", ")
+    : "none";
+  return [
+    "📐 Position sizing",
+    `Fixed amount: ${formatTradeAmount(sizing.amount)} ${
+      settings.token || ""
+    }`.trim(),
+    `Balance share: ${formatPercent(sizing.balancePercent)}`,
+    `Market cap tiers: ${tiers}`,
+    "Set tiers with /set sizingMarketCapTiers 0:0.05,1000000:0.1",
+  ].join("\n");
+}
+
 function makeMainMenuKeyboard() {
   return Markup.keyboard(
-    [["Sell", "Buy"], ["Statistics", "Trade-Bot"]],
+    [["Sell", "Buy"], ["Statistics", "Trade-Bot"], ["Positions"]],
     { columns: 2 }
   )
     .resize()
@@ -188,7 +248,12 @@ function makeMainMenuKeyboard() {
 
 function makeTradingMenuKeyboard(isRunning = false) {
   const actionLabel = isRunning ? "Stop trading" : "Start trading";
-  return Markup.keyboard([["Configuration"], [actionLabel], ["Back"]])
+  return Markup.keyboard([
+    ["Configuration"],
+    [actionLabel],
+    ["Close all positions"],
+    ["Back"],
+  ])
     .resize()
     .persistent();
 }
@@ -511,32 +576,158 @@ function makeBuyPaymentKeyboard(flow) {
   return Markup.inlineKeyboard(chunk(rows, 1));
 }
 
+function formatTransferFeePercent(transferFee) {
+  return `${(transferFee.basisPoints / 100).toFixed(2)}%`;
+}
+
+// Token-2022 mints can withhold a fee on every transfer, swaps included.
+function formatTransferFeeLines(token, amountRaw) {
+  if (!token?.transferFee) return [];
+  const fee = computeTransferFee(amountRaw, token.transferFee);
+  const feeUi = rawToNumber(fee, Number(token.decimals || 0));
+  return [
+    `Transfer fee: ${formatAmount(feeUi)} ${
+      token.symbol
+    } (${formatTransferFeePercent(token.transferFee)})`,
+  ];
+}
+
+function formatAvailable(token) {
+  const amount = formatAmount(token.uiAmount);
+  const value = formatUsd(token.valueUsdt);
+  if (!token.transferFee) return `available ${amount}, ${value}`;
+  return `available ${amount}, ${formatAmount(
+    token.sellableUiAmount
+  )} after the ${formatTransferFeePercent(
+    token.transferFee
+  )} transfer fee, ${value}`;
+}
+
+// Quote for a manual swap at the flow's slippage; a price impact over the
+// manual cap is flagged so confirming takes a second step.
+async function quoteManualSwap(flow, { inputMint, outputMint }) {
+  const settings = await store.getAll();
+  flow.quote = await getSwapQuote({
+    inputMint,
+    outputMint,
+    amount: flow.amountRaw,
+    slippageBps: flow.slippageBps,
+  });
+  flow.impactIssue = checkPriceImpact(
+    flow.quote,
+    resolvePriceImpactCaps(settings).manual
+  );
+}
+
+function formatQuoteGuardLines(flow) {
+  const lines = [];
+  const priceImpact = getQuotePriceImpactPercent(flow.quote);
+  if (Number.isFinite(priceImpact)) {
+    lines.push(`Price impact: ${priceImpact.toFixed(2)}%`);
+  }
+  const slippageBps = flow.quote?.slippageBps ?? flow.slippageBps;
+  if (slippageBps != null) {
+    lines.push(`Slippage: ${formatSlippageBps(slippageBps)}`);
+  }
+  if (flow.impactIssue) {
+    lines.push(
+      `⚠️ Over your ${flow.impactIssue.capPercent}% price impact cap: you will be asked to confirm twice.`
+    );
+  }
+  return lines;
+}
+
+function makeQuoteConfirmKeyboard(prefix, flow) {
+  const current = Number(flow.quote?.slippageBps ?? flow.slippageBps);
+  return Markup.inlineKeyboard([
+    [Markup.button.callback("✅ OK", `${prefix}:confirm`)],
+    SLIPPAGE_CHOICES_BPS.map((bps) =>
+      Markup.button.callback(
+        `${bps === current ? "• " : ""}${formatSlippageBps(bps)}`,
+        `${prefix}:slip:${bps}`
+      )
+    ),
+    [Markup.button.callback("✖️ Cancel", `${prefix}:cancel`)],
+  ]);
+}
+
+// Returns true when the swap may go ahead; otherwise asks for the second
+// confirmation that a price impact over the manual cap requires.
+async function confirmPriceImpact(ctx, prefix, flow, payload) {
+  if (!flow.impactIssue || payload === "anyway") return true;
+  await ctx.reply(
+    `⚠️ The ${flow.impactIssue.reason}. Swap anyway?`,
+    Markup.inlineKeyboard([
+      [Markup.button.callback("⚠️ Swap anyway", `${prefix}:confirm:anyway`)],
+      [Markup.button.callback("✖️ Cancel", `${prefix}:cancel`)],
+    ])
+  );
+  return false;
+}
+
+// Re-quotes at a slippage picked on the confirm screen.
+async function handleSlippageChoice(ctx, prefix, flow, payload, mints) {
+  const bps = Number(payload);
+  if (flow.stage !== "awaiting_confirmation" || !flow.quote) {
+    await ctx.reply("No data to confirm. Start over.");
+    return;
+  }
+  if (!SLIPPAGE_CHOICES_BPS.includes(bps)) {
+    await ctx.reply("Unsupported slippage value.");
+    return;
+  }
+  flow.slippageBps = bps;
+  try {
+    await quoteManualSwap(flow, mints);
+  } catch (e) {
+    await ctx.reply("Failed to obtain the quote: " + e.message);
+    return;
+  }
+  const lines =
+    prefix === "buy"
+      ? formatBuyQuotePreview(flow)
+      : formatSellQuotePreview(flow);
+  await ctx.reply(lines.join("\n"), {
+    reply_markup: makeQuoteConfirmKeyboard(prefix, flow).reply_markup,
+  });
+}
+
+function formatSellQuotePreview(flow) {
+  const { quote, selectedToken, target, amountUi, amountRaw } = flow;
+  const outAmount = rawToNumber(quote?.outAmount, target.decimals);
+  const minOut = rawToNumber(quote?.otherAmountThreshold, target.decimals);
+  const lines = [
+    "Trade preview",
+    `You send: ${formatAmount(amountUi)} ${selectedToken.symbol}`,
+    ...formatTransferFeeLines(selectedToken, amountRaw),
+    `You receive ≈ ${formatAmount(outAmount)} ${target.symbol}`,
+  ];
+  if (Number.isFinite(minOut)) {
+    lines.push(`Minimum receive: ${formatAmount(minOut)} ${target.symbol}`);
+  }
+  lines.push(...formatQuoteGuardLines(flow));
+  lines.push("Confirm to execute the swap.");
+  return lines;
+}
+
 function formatBuyQuotePreview(flow) {
   const { quote, paymentToken, targetToken, amountUi } = flow;
   const lines = [
     "Trade preview",
     `You send: ${formatAmount(amountUi)} ${paymentToken.symbol}`,
+    ...formatTransferFeeLines(paymentToken, flow.amountRaw),
   ];
-  const outAmount = quote?.outAmount
-    ? Number(quote.outAmount) / 10 ** targetToken.decimals
-    : null;
+  const outAmount = rawToNumber(quote?.outAmount, targetToken.decimals);
   if (Number.isFinite(outAmount)) {
     lines.push(`You receive ≈ ${formatAmount(outAmount)} ${targetToken.symbol}`);
   }
-  const minOut = quote?.otherAmountThreshold
-    ? Number(quote.otherAmountThreshold) / 10 ** targetToken.decimals
-    : null;
+  const minOut = rawToNumber(quote?.otherAmountThreshold, targetToken.decimals);
   if (Number.isFinite(minOut)) {
     lines.push(
       `Minimum receive: ${formatAmount(minOut)} ${targetToken.symbol}`
     );
   }
-  const priceImpact = quote?.priceImpactPct
-    ? Number(quote.priceImpactPct) * 100
-    : null;
-  if (Number.isFinite(priceImpact)) {
-    lines.push(`Price impact: ${priceImpact.toFixed(2)}%`);
-  }
+  lines.push(...formatQuoteGuardLines(flow));
   const totalFeesLamports = Number(
     quote?.fees?.totalFeeAndDeposits ?? quote?.fees?.signatureFee ?? 0
   );
@@ -604,24 +795,38 @@ async function handleSellCallback(ctx, data) {
         return;
       }
     flow.stage = "awaiting_amount";
-    const availableAmount = formatAmount(flow.selectedToken.uiAmount);
-    const availableValue = formatUsd(flow.selectedToken.valueUsdt);
       await ctx.reply(
-        `Enter how much ${flow.selectedToken.symbol} you want to swap (available ${availableAmount}, ${availableValue}). You can type a number or MAX.`
+        `Enter how much ${flow.selectedToken.symbol} you want to swap (${formatAvailable(
+          flow.selectedToken
+        )}). You can type a number or MAX.`
       );
       return;
     }
 
+    if (action === "slip") {
+      await handleSlippageChoice(ctx, "sell", flow, payload, {
+        inputMint: flow.selectedToken?.mint,
+        outputMint: flow.target?.mint,
+      });
+      return;
+    }
+
     if (action === "confirm") {
       if (flow.stage !== "awaiting_confirmation" || !flow.quote) {
         await ctx.reply("No data to confirm. Start over.");
         return;
       }
+      if (!(await confirmPriceImpact(ctx, "sell", flow, payload))) return;
       try {
         await ctx.reply("Executing the swap, please wait...");
-        const sig = await executeSwapQuote(flow.quote);
+        const fees = resolvePriorityFeeSettings(await store.getAll());
+        const { signature: sig, priorityFee } = await executeSwapQuote(
+          flow.quote,
+          { priorityFee: fees.sell }
+        );
         await ctx.reply(
-          `Trade executed!\nLink: https://solscan.io/tx/${sig}`
+          `Trade executed!\nLink: https://solscan.io/tx/${sig}` +
+            formatPaidFee(priorityFee)
         );
       const amountUiNumber = Number(flow.amountUi);
       const estimatedValueUsd =
@@ -629,10 +834,10 @@ async function handleSellCallback(ctx, data) {
         Number.isFinite(amountUiNumber)
           ? Number(flow.selectedToken.priceUsdt) * amountUiNumber
           : null;
-      const outAmountUi =
-        flow.quote?.outAmount && flow.target?.decimals != null
-          ? Number(flow.quote.outAmount) / 10 ** flow.target.decimals
-          : null;
+      const outAmountUi = rawToNumber(
+        flow.quote?.outAmount,
+        flow.target?.decimals
+      );
       await Promise.allSettled([
         trackTokenAction(ctx, {
           tokenMint: flow.selectedToken?.mint,
@@ -705,24 +910,38 @@ async function handleBuyCallback(ctx, data) {
       }
     flow.paymentToken = token;
     flow.stage = "awaiting_amount";
-    const availableAmount = formatAmount(token.uiAmount);
-    const availableValue = formatUsd(token.valueUsdt);
       await ctx.reply(
-        `Enter how much ${token.symbol} you want to swap (available ${availableAmount}, ${availableValue}). You can type a number or MAX.`
+        `Enter how much ${token.symbol} you want to swap (${formatAvailable(
+          token
+        )}). You can type a number or MAX.`
       );
       return;
     }
 
+  if (action === "slip") {
+    await handleSlippageChoice(ctx, "buy", flow, payload, {
+      inputMint: flow.paymentToken?.mint,
+      outputMint: flow.targetToken?.mint,
+    });
+    return;
+  }
+
   if (action === "confirm") {
       if (flow.stage !== "awaiting_confirmation" || !flow.quote) {
         await ctx.reply("No data to confirm. Start over.");
         return;
       }
+      if (!(await confirmPriceImpact(ctx, "buy", flow, payload))) return;
       try {
         await ctx.reply("Executing the swap, please wait...");
-        const sig = await executeSwapQuote(flow.quote);
+        const fees = resolvePriorityFeeSettings(await store.getAll());
+        const { signature: sig, priorityFee } = await executeSwapQuote(
+          flow.quote,
+          { priorityFee: fees.buy }
+        );
         await ctx.reply(
-          `Trade executed!\nLink: https://solscan.io/tx/${sig}`
+          `Trade executed!\nLink: https://solscan.io/tx/${sig}` +
+            formatPaidFee(priorityFee)
         );
       const paymentAmountUi = Number(flow.amountUi);
       const paymentValueUsd =
@@ -730,10 +949,10 @@ async function handleBuyCallback(ctx, data) {
         Number.isFinite(paymentAmountUi)
           ? Number(flow.paymentToken.priceUsdt) * paymentAmountUi
           : null;
-      const receivedAmountUi =
-        flow.quote?.outAmount && flow.targetToken?.decimals != null
-          ? Number(flow.quote.outAmount) / 10 ** flow.targetToken.decimals
-          : null;
+      const receivedAmountUi = rawToNumber(
+        flow.quote?.outAmount,
+        flow.targetToken?.decimals
+      );
       await Promise.allSettled([
         trackTokenAction(ctx, {
           tokenMint: flow.targetToken?.mint,
@@ -843,22 +1062,18 @@ async function processBuyMessage(ctx) {
 
     if (rawText.toUpperCase() === "MAX") {
       amountRaw = flow.paymentToken.rawAmount;
-      amountUi = Number(flow.paymentToken.uiAmount);
     } else {
-      const normalized = rawText.replace(",", ".");
-      const parsed = Number(normalized);
-      if (!Number.isFinite(parsed) || parsed <= 0) {
-        await ctx.reply("Enter a positive number or MAX.");
-        return true;
-      }
       try {
-        amountRaw = toRawAmount(parsed, flow.paymentToken.decimals);
+        amountRaw = parseDecimalAmount(
+          rawText,
+          flow.paymentToken.decimals
+        ).toString();
       } catch (e) {
-        await ctx.reply("Failed to process the amount: " + e.message);
+        await ctx.reply(`${e.message}. Enter a positive number or MAX.`);
         return true;
       }
-      amountUi = parsed;
     }
+    amountUi = rawToNumber(amountRaw, flow.paymentToken.decimals);
 
     if (BigInt(amountRaw) > BigInt(flow.paymentToken.rawAmount)) {
       await ctx.reply("Not enough tokens in the balance.");
@@ -866,22 +1081,15 @@ async function processBuyMessage(ctx) {
     }
 
     try {
-      const quote = await getSwapQuote({
+      flow.amountUi = amountUi;
+      flow.amountRaw = amountRaw;
+      await quoteManualSwap(flow, {
         inputMint: flow.paymentToken.mint,
         outputMint: flow.targetToken.mint,
-        amount: amountRaw,
       });
-      flow.quote = quote;
       flow.stage = "awaiting_confirmation";
-      flow.amountUi = amountUi;
-      flow.amountRaw = amountRaw;
-
-      const lines = formatBuyQuotePreview(flow);
-      await ctx.reply(lines.join("\n"), {
-        reply_markup: Markup.inlineKeyboard([
-          [Markup.button.callback("✅ OK", "buy:confirm")],
-          [Markup.button.callback("✖️ Cancel", "buy:cancel")],
-        ]).reply_markup,
+      await ctx.reply(formatBuyQuotePreview(flow).join("\n"), {
+        reply_markup: makeQuoteConfirmKeyboard("buy", flow).reply_markup,
       });
     } catch (e) {
       console.error("Buy quote error", e);
@@ -916,22 +1124,18 @@ async function processSellAmount(ctx) {
 
   if (rawText.toUpperCase() === "MAX") {
     amountRaw = flow.selectedToken.rawAmount;
-    amountUi = Number(flow.selectedToken.uiAmount);
   } else {
-    const normalized = rawText.replace(",", ".");
-    const parsed = Number(normalized);
-    if (!Number.isFinite(parsed) || parsed <= 0) {
-      await ctx.reply("Enter a positive number or MAX.");
-      return true;
-    }
     try {
-      amountRaw = toRawAmount(parsed, flow.selectedToken.decimals);
+      amountRaw = parseDecimalAmount(
+        rawText,
+        flow.selectedToken.decimals
+      ).toString();
     } catch (e) {
-      await ctx.reply("Failed to process the amount: " + e.message);
+      await ctx.reply(`${e.message}. Enter a positive number or MAX.`);
       return true;
     }
-    amountUi = parsed;
   }
+  amountUi = rawToNumber(amountRaw, flow.selectedToken.decimals);
 
   if (BigInt(amountRaw) > BigInt(flow.selectedToken.rawAmount)) {
     await ctx.reply("Not enough tokens in the balance.");
@@ -939,46 +1143,15 @@ async function processSellAmount(ctx) {
   }
 
   try {
-    const quote = await getSwapQuote({
+    flow.amountUi = amountUi;
+    flow.amountRaw = amountRaw;
+    await quoteManualSwap(flow, {
       inputMint: flow.selectedToken.mint,
       outputMint: flow.target.mint,
-      amount: amountRaw,
     });
-    flow.quote = quote;
     flow.stage = "awaiting_confirmation";
-    flow.amountUi = amountUi;
-    flow.amountRaw = amountRaw;
-
-    const outAmount = quote?.outAmount
-      ? Number(quote.outAmount) / 10 ** flow.target.decimals
-      : null;
-    const minOut = quote?.otherAmountThreshold
-      ? Number(quote.otherAmountThreshold) / 10 ** flow.target.decimals
-      : null;
-    const priceImpact = quote?.priceImpactPct
-      ? Number(quote.priceImpactPct) * 100
-      : null;
-
-    const lines = [
-      "Trade preview",
-      `You send: ${formatAmount(amountUi)} ${flow.selectedToken.symbol}`,
-      `You receive ≈ ${formatAmount(outAmount)} ${flow.target.symbol}`,
-    ];
-    if (Number.isFinite(minOut)) {
-      lines.push(
-        `Minimum receive: ${formatAmount(minOut)} ${flow.target.symbol}`
-      );
-    }
-    if (Number.isFinite(priceImpact)) {
-      lines.push(`Price impact: ${priceImpact.toFixed(2)}%`);
-    }
-    lines.push("Confirm to execute the swap.");
-
-    await ctx.reply(lines.join("\n"), {
-      reply_markup: Markup.inlineKeyboard([
-        [Markup.button.callback("✅ OK", "sell:confirm")],
-        [Markup.button.callback("✖️ Cancel", "sell:cancel")],
-      ]).reply_markup,
+    await ctx.reply(formatSellQuotePreview(flow).join("\n"), {
+      reply_markup: makeQuoteConfirmKeyboard("sell", flow).reply_markup,
     });
   } catch (e) {
     console.error("Quote error", e);
@@ -1023,6 +1196,26 @@ const NUMERIC_EDIT_FIELDS = {
       return n;
     },
   },
+  sizingBalancePercent: {
+    title: "Balance share per buy (%)",
+    toDisplay: (value) => String(value ?? 0),
+    async persist(raw, ctx) {
+      const n = Number(raw || 0);
+      await store.setSizingBalancePercent(n);
+      await syncSettingsSnapshot("update:sizingBalancePercent", ctx);
+      return n;
+    },
+  },
+  stopLossPercent: {
+    title: "Stop loss (%)",
+    toDisplay: (value) => String(value ?? 0),
+    async persist(raw, ctx) {
+      const n = Number(raw || 0);
+      await store.setStopLossPercent(n);
+      await syncSettingsSnapshot("update:stopLossPercent", ctx);
+      return n;
+    },
+  },
 };
 
 function makeNumericKeyboard() {
@@ -1276,6 +1469,228 @@ bot.hears("Statistics", async (ctx) => {
   }
 });
 
+function formatPositionPrice(value) {
+  if (!Number.isFinite(value)) return "?";
+  return Number(value).toPrecision(4);
+}
+
+function formatAge(minutes) {
+  if (!Number.isFinite(minutes)) return "?";
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function formatPositionEntry(position) {
+  const base = position.baseSymbol || "";
+  const pnl =
+    position.unrealizedPnl != null
+      ? `${position.unrealizedPnl >= 0 ? "+" : "-"}${formatAmount(
+          Math.abs(position.unrealizedPnl)
+        )} ${base} (${
+          position.unrealizedPercent >= 0 ? "+" : ""
+        }${formatPercent(position.unrealizedPercent)})`
+      : "unknown";
+  return [
+    `💼 ${position.symbol || position.mint}`,
+    `Amount: ${formatAmount(position.amountUi)}`,
+    `Avg entry: ${formatPositionPrice(position.avgEntryPrice)} ${base}`,
+    `Current: ${formatPositionPrice(position.currentPrice)} ${base}`,
+    `Unrealized: ${pnl}`,
+    `Age: ${formatAge(position.ageMinutes)}`,
+    `Exits: ${position.exitTargets.join(", ") || "none"}`,
+    ...(position.transferFee
+      ? [
+          `Transfer fee: ${formatTransferFeePercent(
+            position.transferFee
+          )} (Token-2022)`,
+        ]
+      : []),
+    ...position.safetyWarnings.map((warning) => `⚠️ ${warning}`),
+    ...formatQuoteLines(position),
+    ...formatSellRetryLines(position),
+  ].join("\n");
+}
+
+function formatQuoteLines(position) {
+  const quote = position.lastQuote;
+  if (!quote) return [];
+  const gap =
+    quote.gapPercent != null
+      ? ` (${quote.gapPercent >= 0 ? "+" : ""}${formatPercent(
+          quote.gapPercent
+        )} vs API)`
+      : "";
+  return [`Sell quote: ${formatPositionPrice(quote.quotePrice)}${gap}`];
+}
+
+function formatPaidFee(priorityFee) {
+  if (!priorityFee || priorityFee.feeLamports == null) return "";
+  const landed =
+    priorityFee.confirmMs != null
+      ? `, landed in ${(priorityFee.confirmMs / 1000).toFixed(1)}s`
+      : "";
+  return `\nFee: ${priorityFee.feeLamports} lamports (${priorityFee.strategy}${landed})`;
+}
+
+function formatSellRetryLines(position) {
+  if (position.needsAttention) {
+    return [
+      `⚠️ Needs manual attention: ${position.needsAttention.attempts} sell attempts failed`,
+      `Last error: ${position.needsAttention.lastError}`,
+    ];
+  }
+  if (position.sellRetry) {
+    return [
+      `Sell retries: ${position.sellRetry.attempts}, next after ${position.sellRetry.nextAttemptAt}`,
+    ];
+  }
+  return [];
+}
+
+function makePositionKeyboard(mint) {
+  return Markup.inlineKeyboard([
+    [25, 50, 100].map((percent) =>
+      Markup.button.callback(`Sell ${percent}%`, `pos:sell:${mint}:${percent}`)
+    ),
+  ]);
+}
+
+async function replyWithPositions(ctx) {
+  await ctx.sendChatAction?.("typing");
+  const list = await tradingEngine.listPositions();
+  if (!list.length) {
+    await ctx.reply("No open positions.");
+    return;
+  }
+  const mode = tradingEngine.isPaperMode() ? " (PAPER)" : "";
+  await ctx.reply(`📂 Open positions${mode}: ${list.length}`);
+  for (const position of list) {
+    await ctx.reply(
+      formatPositionEntry(position),
+      makePositionKeyboard(position.mint)
+    );
+  }
+}
+
+async function handlePositionCallback(ctx, data) {
+  const [, action, mint, rawPercent] = data.split(":");
+  if (action !== "sell" || !mint) {
+    await ctx.answerCbQuery("Unknown action", { show_alert: true });
+    return;
+  }
+  const percent = Number(rawPercent);
+  await ctx.answerCbQuery(`Selling ${percent}%…`);
+  try {
+    const remaining = await tradingEngine.sellPosition(mint, percent);
+    if (!remaining) {
+      await ctx.editMessageReplyMarkup().catch(() => {});
+      await ctx.reply("Position closed ✅");
+      return;
+    }
+    const [updated] = (await tradingEngine.listPositions()).filter(
+      (position) => position.mint === mint
+    );
+    if (updated) {
+      await ctx
+        .editMessageText(
+          formatPositionEntry(updated),
+          makePositionKeyboard(mint)
+        )
+        .catch(() => {});
+    }
+  } catch (e) {
+    await ctx.reply("Sell failed: " + e.message);
+  }
+}
+
+bot.hears("Positions", async (ctx) => {
+  try {
+    await replyWithPositions(ctx);
+  } catch (e) {
+    console.error("Positions view error", e);
+    await ctx.reply("Failed to load positions: " + e.message);
+  }
+});
+
+const CLOSE_ALL_CONFIRMATION = "CLOSE ALL";
+
+async function requestCloseAll(ctx) {
+  ctx.session ??= {};
+  ctx.session.closeAllPending = true;
+  await ctx.reply(
+    "⚠️ This sells every open engine position at market and halts new buys. " +
+      "It cannot be undone.\n" +
+      `Type ${CLOSE_ALL_CONFIRMATION} to confirm, anything else cancels.`
+  );
+}
+
+async function processCloseAllConfirmation(ctx) {
+  if (!ctx.session?.closeAllPending) return false;
+  ctx.session.closeAllPending = false;
+  if (ctx.message.text.trim() !== CLOSE_ALL_CONFIRMATION) {
+    await ctx.reply("Close all cancelled.");
+    return true;
+  }
+  const progress = await ctx.reply("🛑 Closing all positions…");
+  const updateProgress = (text) =>
+    ctx.telegram
+      .editMessageText(ctx.chat.id, progress.message_id, undefined, text)
+      .catch(() => {});
+  try {
+    const { closed, failed } = await tradingEngine.closeAllPositions({
+      onProgress: ({ done, total, symbol, error }) =>
+        updateProgress(
+          `🛑 Closing all positions… ${done}/${total}\n` +
+            `${symbol}: ${error ? `failed (${error})` : "sold"}`
+        ),
+    });
+    const lines = [
+      `Close all finished: ${closed.length} sold, ${failed.length} failed.`,
+      ...failed.map((item) => `❌ ${item.symbol}: ${item.error}`),
+      "New buys are halted. Use /resume to allow them again.",
+    ];
+    await ctx.reply(lines.join("\n"));
+  } catch (e) {
+    console.error("Close all error", e);
+    await ctx.reply("Close all failed: " + e.message);
+  }
+  return true;
+}
+
+bot.hears("Close all positions", requestCloseAll);
+bot.command("panic", requestCloseAll);
+
+bot.command("resume", async (ctx) => {
+  const resumed = await tradingEngine.resumeBuys();
+  await ctx.reply(resumed ? "New buys resumed ▶️" : "Buys are not halted.");
+});
+
+bot.command("retrysell", async (ctx) => {
+  try {
+    const [, target] = (ctx.message.text || "").split(/\s+/);
+    if (!target) return ctx.reply("Use: /retrysell <mint|symbol>");
+    const position = await tradingEngine.clearSellAttention(target);
+    await ctx.reply(
+      `Automatic exits resumed for ${position.symbol || position.mint}.`
+    );
+  } catch (e) {
+    await ctx.reply("Error: " + e.message);
+  }
+});
+
+bot.command("reconcile", async (ctx) => {
+  try {
+    await ctx.sendChatAction?.("typing");
+    const { report } = await tradingEngine.reconcilePositions();
+    await ctx.reply(report);
+  } catch (e) {
+    console.error("Reconcile error", e);
+    await ctx.reply("Failed to reconcile positions: " + e.message);
+  }
+});
+
 bot.hears("Trade-Bot", async (ctx) => {
   await ctx.reply(
     "🧠 Trading bot controls:",
@@ -1341,13 +1756,65 @@ bot.hears("Stop trading", async (ctx) => {
   }
 });
 
+// Settings editable through /set that validate inside their Store setter.
+const SETTING_COMMAND_SETTERS = {
+  stopLossPercent: "setStopLossPercent",
+  trailingStopPercent: "setTrailingStopPercent",
+  trailingActivationPercent: "setTrailingActivationPercent",
+  takeProfitLadder: "setTakeProfitLadder",
+  maxHoldMinutes: "setMaxHoldMinutes",
+  maxHoldPnlBandMinPercent: "setMaxHoldPnlBandMinPercent",
+  maxHoldPnlBandMaxPercent: "setMaxHoldPnlBandMaxPercent",
+  emergencyPriceDropPercent: "setEmergencyPriceDropPercent",
+  emergencyLiquidityDropPercent: "setEmergencyLiquidityDropPercent",
+  emergencySlippageBps: "setEmergencySlippageBps",
+  quoteExitPricing: "setQuoteExitPricing",
+  paperTrading: "setPaperTrading",
+  paperStartingBalance: "setPaperStartingBalance",
+  sellRetryMaxAttempts: "setSellRetryMaxAttempts",
+  sellRetrySlippageStepBps: "setSellRetrySlippageStepBps",
+  sellRetryMaxSlippageBps: "setSellRetryMaxSlippageBps",
+  sellRetryBackoffSeconds: "setSellRetryBackoffSeconds",
+  signalDedupWindowMinutes: "setSignalDedupWindowMinutes",
+  tokenCooldownMinutes: "setTokenCooldownMinutes",
+  dailyLossLimit: "setDailyLossLimit",
+  maxConsecutiveLosses: "setMaxConsecutiveLosses",
+  maxOpenPositions: "setMaxOpenPositions",
+  maxTotalDeployed: "setMaxTotalDeployed",
+  maxCostPerMint: "setMaxCostPerMint",
+  sizingMode: "setSizingMode",
+  sizingBalancePercent: "setSizingBalancePercent",
+  sizingMarketCapTiers: "setSizingMarketCapTiers",
+  maxPriceImpactPercent: "setMaxPriceImpactPercent",
+  maxManualPriceImpactPercent: "setMaxManualPriceImpactPercent",
+  safetyMintAuthority: "setSafetyMintAuthority",
+  safetyFreezeAuthority: "setSafetyFreezeAuthority",
+  safetyTopHolders: "setSafetyTopHolders",
+  safetyTopHoldersPercent: "setSafetyTopHoldersPercent",
+  safetyTopHoldersCount: "setSafetyTopHoldersCount",
+  buyPriorityFee: "setBuyPriorityFee",
+  sellPriorityFee: "setSellPriorityFee",
+};
+
+const SET_COMMAND_KEYS = [
+  "token",
+  "amount",
+  "profitTargetPercent",
+  "marketCapMinimum",
+  ...Object.keys(SETTING_COMMAND_SETTERS),
+];
+
 bot.command("get", async (ctx) => {
   const s = await store.getAll();
+  const extraLines = Object.keys(SETTING_COMMAND_SETTERS).map(
+    (key) => `\n\- ${key}: \`${JSON.stringify(s[key] ?? null)}\``
+  );
   await ctx.replyWithMarkdown(
     `\- token: \`${s.token}\`\n` +
       `\- amount: \`${s.amount}\`\n` +
       `\- profitTargetPercent: \`${s.profitTargetPercent ?? 0}\`\n` +
-      `\- marketCapMinimum: \`${s.marketCapMinimum ?? 0}\``
+      `\- marketCapMinimum: \`${s.marketCapMinimum ?? 0}\`` +
+      extraLines.join("")
   );
 });
 
@@ -1357,9 +1824,7 @@ bot.command("set", async (ctx) => {
     const [, key, ...rest] = (ctx.message.text || "").split(/\s+/);
     const value = rest.join(" ");
     if (!key || !value)
-      return ctx.reply(
-        "Use: /set <token|amount|profitTargetPercent|marketCapMinimum> <value>"
-      );
+      return ctx.reply(`Use: /set <${SET_COMMAND_KEYS.join("|")}> <value>`);
     if (key === "token") {
       await store.setToken(value);
       await syncSettingsSnapshot("update:token", ctx);
@@ -1382,18 +1847,172 @@ bot.command("set", async (ctx) => {
         return ctx.reply("marketCapMinimum should be a non-negative number");
       await store.setMarketCapMinimum(n);
       await syncSettingsSnapshot("update:marketCapMinimum", ctx);
+    } else if (SETTING_COMMAND_SETTERS[key]) {
+      await store[SETTING_COMMAND_SETTERS[key]](value);
+      await syncSettingsSnapshot(`update:${key}`, ctx);
+      if (key === "paperTrading" && tradingEngine.isRunning()) {
+        await ctx.reply("Restart trading to switch between paper and live.");
+      }
     } else {
+      return ctx.reply(`Available keys: ${SET_COMMAND_KEYS.join(", ")}`);
+    }
+    await ctx.reply("Saved ✅");
+    await replyWithSettings(ctx);
+  } catch (e) {
+    await ctx.reply("Error: " + e.message);
+  }
+});
+
+bot.command("stoploss", async (ctx) => {
+  try {
+    const [, target, value] = (ctx.message.text || "").split(/\s+/);
+    if (!target || !value)
+      return ctx.reply(
+        "Use: /stoploss <mint|symbol> <percent|off> (off = use the global stop loss)"
+      );
+    const position = await tradingEngine.setPositionStopLoss(
+      target,
+      value === "off" ? null : value
+    );
+    await ctx.reply(
+      `Stop loss for ${position.symbol || position.mint}: ${
+        position.stopLossPercent != null
+          ? formatPercent(position.stopLossPercent)
+          : "global"
+      }`
+    );
+  } catch (e) {
+    await ctx.reply("Error: " + e.message);
+  }
+});
+
+bot.command("channels", async (ctx) => {
+  const s = await store.getAll();
+  const entries = Object.entries(s.signalChannels || {});
+  const lines = entries.length
+    ? entries.map(([chatKey, parser]) => `- ${chatKey}: ${parser}`)
+    : ["No signal channels configured."];
+  lines.push(
+    "",
+    `Parsers: ${Object.keys(BUILTIN_PARSERS).join(", ")}`,
+    "Use: /channel <chat id|@username> <parser|off>"
+  );
+  await ctx.reply(lines.join("\n"));
+});
+
+bot.command("channel", async (ctx) => {
+  try {
+    const [, chatKey, parserName] = (ctx.message.text || "").split(/\s+/);
+    if (!chatKey || !parserName)
+      return ctx.reply("Use: /channel <chat id|@username> <parser|off>");
+    if (parserName === "off") {
+      await store.setSignalChannel(chatKey, null);
+    } else if (!BUILTIN_PARSERS[parserName]) {
       return ctx.reply(
-        "Available keys: token, amount, profitTargetPercent, marketCapMinimum"
+        `Unknown parser. Available: ${Object.keys(BUILTIN_PARSERS).join(", ")}`
       );
+    } else {
+      await store.setSignalChannel(chatKey, parserName);
     }
+    await syncSettingsSnapshot("update:signalChannels", ctx);
     await ctx.reply("Saved ✅");
-    await replyWithSettings(ctx);
   } catch (e) {
     await ctx.reply("Error: " + e.message);
   }
 });
 
+function formatSignalJournalEntry(entry) {
+  const at = entry.receivedAt
+    ? new Date(entry.receivedAt).toISOString().slice(5, 16).replace("T", " ")
+    : "?";
+  const chat =
+    (entry.chat?.username && `@${entry.chat.username}`) ||
+    entry.chat?.title ||
+    entry.chat?.id ||
+    "?";
+  const token =
+    entry.parsed?.ticker ||
+    (entry.parsed?.mint ? entry.parsed.mint.slice(0, 8) : "—");
+  const parts = [`${at} ${chat} ${token}: ${entry.decision} (${entry.reason})`];
+  if (entry.tradeId && entry.mode === "paper") {
+    parts.push(`  Paper fill: ${entry.tradeId}`);
+  } else if (entry.tradeId) {
+    parts.push(`  Tx: https://solscan.io/tx/${entry.tradeId}`);
+  } else if (entry.detail) {
+    parts.push(`  ${String(entry.detail).slice(0, 120)}`);
+  }
+  return parts.join("\n");
+}
+
+bot.command("signals", async (ctx) => {
+  try {
+    const [, rawLimit] = (ctx.message.text || "").split(/\s+/);
+    const limit = Math.min(Math.max(Number(rawLimit) || 10, 1), 50);
+    const entries = await listRecentSignals(limit);
+    if (!entries.length) {
+      await ctx.reply("The signal journal is empty.");
+      return;
+    }
+    const lines = entries.map((entry) => formatSignalJournalEntry(entry));
+    await ctx.reply(
+      `🗒 Last ${entries.length} signals:\n\n${lines.join("\n")}`,
+      { disable_web_page_preview: true }
+    );
+  } catch (e) {
+    console.error("Signal journal error", e);
+    await ctx.reply("Failed to load the signal journal: " + e.message);
+  }
+});
+
+function formatRiskGuardStatus(status) {
+  const { limits } = status;
+  const lines = [
+    status.tripped
+      ? `⛔ Buys paused: ${status.tripped.detail} (since ${status.tripped.at})`
+      : "✅ Buys allowed",
+    `Today's realized PnL: ${status.dailyPnl >= 0 ? "+" : "-"}${Math.abs(
+      status.dailyPnl
+    ).toFixed(4)} (limit: ${limits.dailyLossLimit || "off"})`,
+    `Consecutive losses: ${status.consecutiveLosses} (limit: ${
+      limits.maxConsecutiveLosses || "off"
+    })`,
+  ];
+  return lines.join("\n");
+}
+
+bot.command("risk", async (ctx) => {
+  try {
+    const status = await tradingEngine.getRiskGuardStatus();
+    await ctx.reply(formatRiskGuardStatus(status));
+  } catch (e) {
+    await ctx.reply("Error: " + e.message);
+  }
+});
+
+bot.command("resetrisk", async (ctx) => {
+  try {
+    const status = await tradingEngine.resetRiskGuard();
+    await ctx.reply(formatRiskGuardStatus(status));
+  } catch (e) {
+    await ctx.reply("Error: " + e.message);
+  }
+});
+
+async function handleSizingCallback(ctx, action) {
+  await ctx.answerCbQuery().catch(() => {});
+  if (action === "back") {
+    await ctx.editMessageReplyMarkup().catch(() => {});
+    await replyWithSettings(ctx);
+    return;
+  }
+  await store.setSizingMode(action);
+  await syncSettingsSnapshot("update:sizingMode", ctx);
+  const s = await store.getAll();
+  await ctx
+    .editMessageText(sizingPromptText(s), makeSizingKeyboard(s))
+    .catch(() => {});
+}
+
 bot.on("callback_query", async (ctx) => {
   try {
     const data = ctx.callbackQuery.data || "";
@@ -1424,6 +2043,14 @@ bot.on("callback_query", async (ctx) => {
       await handleNumericCallback(ctx, data.slice(4));
       return;
     }
+    if (data.startsWith("pos:")) {
+      await handlePositionCallback(ctx, data);
+      return;
+    }
+    if (data.startsWith("sizing:")) {
+      await handleSizingCallback(ctx, data.slice(7));
+      return;
+    }
     if (!data.startsWith("edit:")) return;
     const key = data.split(":")[1];
     if (NUMERIC_EDIT_FIELDS[key]) {
@@ -1431,6 +2058,12 @@ bot.on("callback_query", async (ctx) => {
       await beginNumericEdit(ctx, key);
       return;
     }
+    if (key === "sizingMode") {
+      await ctx.answerCbQuery();
+      const s = await store.getAll();
+      await ctx.reply(sizingPromptText(s), makeSizingKeyboard(s));
+      return;
+    }
     if (key === "token") {
       ctx.session ??= {};
       ctx.session.editKey = key;
@@ -1450,6 +2083,9 @@ bot.on("callback_query", async (ctx) => {
 bot.on("message", async (ctx, next) => {
   if (!("text" in ctx.message)) return next();
   ctx.session ??= {};
+  if (await processCloseAllConfirmation(ctx)) {
+    return;
+  }
   if (await processBuyMessage(ctx)) {
     return;
   }
@@ -0,0 +1,431 @@
+import { rawToNumber } from "./features/decimalAmount.js";
+
+const DEFAULT_PHANTOM_SWAP_FEE_PERCENT = 0.85;
+const DEFAULT_EMERGENCY_SLIPPAGE_BPS = 1500;
+
+export const EXIT_REASONS = Object.freeze({
+  TAKE_PROFIT: "take-profit",
+  STOP_LOSS: "stop-loss",
+  TRAILING_STOP: "trailing-stop",
+  TAKE_PROFIT_LADDER: "take-profit-ladder",
+  MAX_HOLD: "max-hold",
+  EMERGENCY: "emergency-exit",
+  MANUAL: "manual",
+  CLOSE_ALL: "close-all",
+});
+
+export function resolvePhantomSwapFeePercent(settings) {
+  const configured = Number(settings?.phantomSwapFeePercent);
+  if (Number.isFinite(configured) && configured >= 0) {
+    return configured;
+  }
+  const fromEnv = Number(process.env.PHANTOM_SWAP_FEE_PERCENT);
+  if (Number.isFinite(fromEnv) && fromEnv >= 0) {
+    return fromEnv;
+  }
+  return DEFAULT_PHANTOM_SWAP_FEE_PERCENT;
+}
+
+/** Profit target with the swap fee added on top; 0 when disabled. */
+export function resolveTakeProfitPercent(settings) {
+  const profitTarget = Number(settings?.profitTargetPercent || 0);
+  if (!Number.isFinite(profitTarget) || profitTarget <= 0) return 0;
+  return profitTarget + resolvePhantomSwapFeePercent(settings);
+}
+
+/** Per-position stop-loss overrides the global one; 0 disables it. */
+export function resolveStopLossPercent(position, settings) {
+  const own = Number(position?.stopLossPercent);
+  if (position?.stopLossPercent != null && Number.isFinite(own) && own >= 0) {
+    return own;
+  }
+  const global = Number(settings?.stopLossPercent || 0);
+  return Number.isFinite(global) && global > 0 ? global : 0;
+}
+
+/**
+ * Parses ladder steps from `[{ profitPercent, sellPercent }]` or the
+ * "30:50,80:25,200:100" shorthand. `sellPercent` is a share of the original
+ * position; whatever the steps leave is up to the take-profit target or the
+ * trailing stop.
+ */
+export function parseTakeProfitLadder(value) {
+  if (value == null || value === "" || value === "off") return [];
+  const raw = Array.isArray(value)
+    ? value
+    : String(value)
+        .split(",")
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .map((part) => {
+          const [profitPercent, sellPercent] = part.split(":");
+          return { profitPercent, sellPercent };
+        });
+  const steps = raw.map((step) => ({
+    profitPercent: Number(step?.profitPercent),
+    sellPercent: Number(step?.sellPercent),
+  }));
+  for (const step of steps) {
+    if (!Number.isFinite(step.profitPercent) || step.profitPercent <= 0) {
+      throw new Error("Ladder profit levels must be positive numbers");
+    }
+    if (
+      !Number.isFinite(step.sellPercent) ||
+      step.sellPercent <= 0 ||
+      step.sellPercent > 100
+    ) {
+      throw new Error("Ladder sell shares must be between 0 and 100");
+    }
+  }
+  for (let i = 1; i < steps.length; i += 1) {
+    if (steps[i].profitPercent <= steps[i - 1].profitPercent) {
+      throw new Error("Ladder profit levels must be ascending");
+    }
+  }
+  return steps;
+}
+
+function resolveTakeProfitLadder(settings) {
+  try {
+    return parseTakeProfitLadder(settings?.takeProfitLadder);
+  } catch {
+    return [];
+  }
+}
+
+/** Next ladder step due at `profitPercent`, as a fraction of what is held. */
+function evaluateLadderStep(position, profitPercent, settings) {
+  const steps = resolveTakeProfitLadder(settings);
+  if (!steps.length) return null;
+  const fired = new Set(position?.ladderStepsFired || []);
+  const feePercent = resolvePhantomSwapFeePercent(settings);
+  let due = null;
+  steps.forEach((step, index) => {
+    if (fired.has(index)) return;
+    if (profitPercent >= step.profitPercent + feePercent) due = index;
+  });
+  if (due == null) return null;
+  const soldPercent = Number(position?.ladderSoldPercent || 0);
+  const remainingPercent = Math.max(100 - soldPercent, 0);
+  if (remainingPercent <= 0) return null;
+  // A price jump past several levels sells their shares together.
+  const dueShare = steps
+    .filter((step, index) => index <= due && !fired.has(index))
+    .reduce((sum, step) => sum + step.sellPercent, 0);
+  const sellPercent = Math.min(dueShare, remainingPercent);
+  const fraction =
+    sellPercent >= remainingPercent ? 1 : sellPercent / remainingPercent;
+  return {
+    reason: EXIT_REASONS.TAKE_PROFIT_LADDER,
+    thresholdPercent: steps[due].profitPercent + feePercent,
+    fraction,
+    ladderStep: due,
+    ladderStepsFired: steps.map((_, index) => index).filter((i) => i <= due),
+    ladderSellPercent: sellPercent,
+  };
+}
+
+/**
+ * Trailing mode replaces the fixed take-profit: once the peak profit reaches
+ * the activation level (the take-profit target when unset), the position is
+ * sold on a `trailingStopPercent` pullback from the peak.
+ */
+export function resolveTrailingStop(settings) {
+  const trailPercent = Number(settings?.trailingStopPercent || 0);
+  if (!Number.isFinite(trailPercent) || trailPercent <= 0) return null;
+  const activation = Number(settings?.trailingActivationPercent);
+  const activationPercent =
+    settings?.trailingActivationPercent != null &&
+    Number.isFinite(activation) &&
+    activation >= 0
+      ? activation
+      : resolveTakeProfitPercent(settings);
+  return { trailPercent, activationPercent };
+}
+
+/** Raises `position.peakPriceUsd`; returns true when the peak moved. */
+export function updatePeakPrice(position, currentPrice, now = Date.now()) {
+  if (!position || !Number.isFinite(currentPrice) || currentPrice <= 0) {
+    return false;
+  }
+  const peak = Number(position.peakPriceUsd);
+  if (Number.isFinite(peak) && peak >= currentPrice) return false;
+  position.peakPriceUsd = currentPrice;
+  position.peakAt = new Date(now).toISOString();
+  return true;
+}
+
+function evaluateTrailingStop({
+  position,
+  avgEntryPrice,
+  currentPrice,
+  trailing,
+}) {
+  const peak = Number(position?.peakPriceUsd);
+  const peakProfitPercent = computeProfitPercent(avgEntryPrice, peak);
+  if (
+    peakProfitPercent == null ||
+    peakProfitPercent < trailing.activationPercent ||
+    !Number.isFinite(currentPrice)
+  ) {
+    return null;
+  }
+  const stopPrice = peak * (1 - trailing.trailPercent / 100);
+  if (currentPrice > stopPrice) return null;
+  return {
+    reason: EXIT_REASONS.TRAILING_STOP,
+    thresholdPercent: computeProfitPercent(avgEntryPrice, stopPrice),
+    peakPriceUsd: peak,
+  };
+}
+
+/**
+ * `maxHoldMinutes` closes stale positions at market. The optional
+ * `maxHoldPnlBandMinPercent` / `maxHoldPnlBandMaxPercent` limit the time exit
+ * to positions whose PnL is inside that band.
+ */
+export function resolveMaxHold(settings) {
+  const minutes = Number(settings?.maxHoldMinutes || 0);
+  if (!Number.isFinite(minutes) || minutes <= 0) return null;
+  const bound = (value, fallback) => {
+    const n = Number(value);
+    return value != null && value !== "" && Number.isFinite(n) ? n : fallback;
+  };
+  return {
+    minutes,
+    minPnlPercent: bound(settings?.maxHoldPnlBandMinPercent, -Infinity),
+    maxPnlPercent: bound(settings?.maxHoldPnlBandMaxPercent, Infinity),
+  };
+}
+
+/**
+ * Collapse detection between two monitor ticks: `emergencyPriceDropPercent`
+ * and `emergencyLiquidityDropPercent` (0 disables either), with the exit
+ * quoted at `emergencySlippageBps`.
+ */
+export function resolveEmergencyExit(settings) {
+  const percent = (value) => {
+    const n = Number(value || 0);
+    return Number.isFinite(n) && n > 0 ? n : 0;
+  };
+  const priceDropPercent = percent(settings?.emergencyPriceDropPercent);
+  const liquidityDropPercent = percent(settings?.emergencyLiquidityDropPercent);
+  if (!priceDropPercent && !liquidityDropPercent) return null;
+  const slippageBps = Number(settings?.emergencySlippageBps);
+  return {
+    priceDropPercent,
+    liquidityDropPercent,
+    slippageBps:
+      Number.isFinite(slippageBps) && slippageBps > 0
+        ? slippageBps
+        : DEFAULT_EMERGENCY_SLIPPAGE_BPS,
+  };
+}
+
+/** Stores this tick's price and liquidity on the position for the next one. */
+export function updateTickSnapshot(
+  position,
+  { priceUsd, liquidityUsd },
+  now = Date.now()
+) {
+  position.lastTick = {
+    priceUsd: Number.isFinite(priceUsd) ? priceUsd : null,
+    liquidityUsd: Number.isFinite(liquidityUsd) ? liquidityUsd : null,
+    at: new Date(now).toISOString(),
+  };
+}
+
+function dropPercent(before, after) {
+  if (!Number.isFinite(before) || before <= 0) return null;
+  if (!Number.isFinite(after)) return null;
+  return ((before - after) / before) * 100;
+}
+
+/**
+ * Compares the current tick with the previous snapshot. Snapshots older than
+ * `maxAgeMs` (e.g. from before a restart) are ignored.
+ */
+export function evaluateEmergencyExit({
+  position,
+  currentPrice,
+  liquidity,
+  settings,
+  now = Date.now(),
+  maxAgeMs = Infinity,
+}) {
+  const rules = resolveEmergencyExit(settings);
+  const previous = position?.lastTick;
+  if (!rules || !previous) return null;
+  const age = new Date(now).getTime() - new Date(previous.at).getTime();
+  if (!Number.isFinite(age) || age > maxAgeMs) return null;
+  const checks = [
+    ["price", rules.priceDropPercent, previous.priceUsd, currentPrice],
+    ["liquidity", rules.liquidityDropPercent, previous.liquidityUsd, liquidity],
+  ];
+  for (const [trigger, thresholdPercent, before, after] of checks) {
+    if (!thresholdPercent) continue;
+    const drop = dropPercent(before, after);
+    if (drop != null && drop >= thresholdPercent) {
+      return {
+        reason: EXIT_REASONS.EMERGENCY,
+        trigger,
+        dropPercent: drop,
+        thresholdPercent,
+        slippageBps: rules.slippageBps,
+      };
+    }
+  }
+  return null;
+}
+
+export function hasActiveExitRules(settings, positions = []) {
+  if (resolveEmergencyExit(settings)) return true;
+  if (resolveTakeProfitPercent(settings) > 0) return true;
+  if (resolveTakeProfitLadder(settings).length) return true;
+  if (resolveTrailingStop(settings)) return true;
+  if (resolveMaxHold(settings)) return true;
+  for (const position of positions) {
+    if (resolveStopLossPercent(position, settings) > 0) return true;
+  }
+  return false;
+}
+
+/**
+ * Exit pricing from an executable sell quote for the whole position: the
+ * per-token `quotePrice` in base units, its gap to the API price (negative
+ * when the quote is worse) and the profit selling at the quote would realise.
+ */
+export function computeQuoteExitMetrics({
+  outAmountRaw,
+  baseDecimals,
+  amountUi,
+  costBaseAmount,
+  apiPrice,
+}) {
+  const decimals = Number(baseDecimals);
+  const amount = Number(amountUi);
+  if (outAmountRaw == null || !Number.isFinite(decimals) || !(amount > 0)) {
+    return null;
+  }
+  const outAmountUi = rawToNumber(outAmountRaw, decimals);
+  const quotePrice = outAmountUi / amount;
+  const cost = Number(costBaseAmount);
+  const hasApiPrice = Number.isFinite(apiPrice) && apiPrice > 0;
+  return {
+    outAmountRaw: String(outAmountRaw),
+    outAmountUi,
+    quotePrice,
+    apiPrice: hasApiPrice ? apiPrice : null,
+    gapPercent: hasApiPrice ? ((quotePrice - apiPrice) / apiPrice) * 100 : null,
+    profitPercent: cost > 0 ? ((outAmountUi - cost) / cost) * 100 : null,
+  };
+}
+
+export function computeProfitPercent(avgEntryPrice, currentPrice) {
+  if (!Number.isFinite(avgEntryPrice) || avgEntryPrice <= 0) return null;
+  if (!Number.isFinite(currentPrice)) return null;
+  return ((currentPrice - avgEntryPrice) / avgEntryPrice) * 100;
+}
+
+/**
+ * Decides whether an open position should be closed. Shared by
+ * `monitorPositions` and the offline replay so both exit the same way.
+ * Returns `{ reason, thresholdPercent }` or null to keep holding; ladder
+ * exits also carry the `fraction` of the position to sell.
+ */
+export function evaluateExit({
+  position,
+  profitPercent,
+  avgEntryPrice,
+  currentPrice,
+  settings,
+  now = Date.now(),
+}) {
+  if (profitPercent == null) return null;
+  const stopLossPercent = resolveStopLossPercent(position, settings);
+  if (stopLossPercent > 0 && profitPercent <= -stopLossPercent) {
+    return {
+      reason: EXIT_REASONS.STOP_LOSS,
+      thresholdPercent: -stopLossPercent,
+    };
+  }
+  const ladderStep = evaluateLadderStep(position, profitPercent, settings);
+  if (ladderStep) return ladderStep;
+  const trailing = resolveTrailingStop(settings);
+  if (trailing) {
+    const trailingExit = evaluateTrailingStop({
+      position,
+      avgEntryPrice,
+      currentPrice,
+      trailing,
+    });
+    if (trailingExit) return trailingExit;
+  } else {
+    const takeProfitPercent = resolveTakeProfitPercent(settings);
+    if (takeProfitPercent > 0 && profitPercent >= takeProfitPercent) {
+      return {
+        reason: EXIT_REASONS.TAKE_PROFIT,
+        thresholdPercent: takeProfitPercent,
+      };
+    }
+  }
+  const maxHold = resolveMaxHold(settings);
+  if (
+    maxHold &&
+    profitPercent >= maxHold.minPnlPercent &&
+    profitPercent <= maxHold.maxPnlPercent
+  ) {
+    return evaluateMaxHoldAge(position, settings, now);
+  }
+  return null;
+}
+
+/**
+ * Max-hold on age alone, ignoring the PnL band. Used for positions with no
+ * price at all, which are usually the dead tokens the time exit is for.
+ */
+export function evaluateMaxHoldAge(position, settings, now = Date.now()) {
+  const maxHold = resolveMaxHold(settings);
+  const openedAt = Date.parse(position?.createdAt || "");
+  if (!maxHold || !Number.isFinite(openedAt)) return null;
+  if (now - openedAt < maxHold.minutes * 60_000) return null;
+  return {
+    reason: EXIT_REASONS.MAX_HOLD,
+    thresholdPercent: null,
+    heldMinutes: Math.floor((now - openedAt) / 60_000),
+  };
+}
+
+/** Short human-readable list of the exit rules that apply to a position. */
+export function describeExitTargets(position, settings) {
+  const targets = [];
+  const stopLossPercent = resolveStopLossPercent(position, settings);
+  if (stopLossPercent > 0) targets.push(`SL -${stopLossPercent}%`);
+  const steps = resolveTakeProfitLadder(settings);
+  const fired = new Set(position?.ladderStepsFired || []);
+  const nextIndex = steps.findIndex((_, index) => !fired.has(index));
+  if (nextIndex >= 0) {
+    const step = steps[nextIndex];
+    targets.push(
+      `ladder +${
+        step.profitPercent + resolvePhantomSwapFeePercent(settings)
+      }% → sell ${step.sellPercent}%`
+    );
+  }
+  const trailing = resolveTrailingStop(settings);
+  if (trailing) {
+    targets.push(
+      `trail ${trailing.trailPercent}% from +${trailing.activationPercent}%`
+    );
+  } else {
+    const takeProfitPercent = resolveTakeProfitPercent(settings);
+    if (takeProfitPercent > 0) targets.push(`TP +${takeProfitPercent}%`);
+  }
+  const maxHold = resolveMaxHold(settings);
+  const openedAt = Date.parse(position?.createdAt || "");
+  if (maxHold && Number.isFinite(openedAt)) {
+    const closeAt = new Date(openedAt + maxHold.minutes * 60_000);
+    targets.push(`max hold until ${closeAt.toISOString().slice(11, 16)} UTC`);
+  }
+  return targets;
+}
@@ -0,0 +1,70 @@
+// Exact conversions between UI amounts and raw integer token amounts. Raw
+// amounts are BigInt or integer strings; UI amounts are only turned into
+// Numbers at the edges, for display and price math.
+
+const DECIMAL_RE = /^(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+function assertDecimals(decimals) {
+  const d = Number(decimals);
+  if (!Number.isInteger(d) || d < 0 || d > 255) {
+    throw new Error(`Invalid token decimals: ${decimals}`);
+  }
+  return d;
+}
+
+/**
+ * Parses a positive UI amount ("1.5", "1,5", "2e-6" or a Number) into raw
+ * units. Digits beyond `decimals` are truncated so the result never exceeds
+ * what was typed.
+ */
+export function parseDecimalAmount(value, decimals) {
+  const d = assertDecimals(decimals);
+  const text = String(value ?? "")
+    .trim()
+    .replace(",", ".")
+    .replace(/_/g, "");
+  const m = text.match(DECIMAL_RE);
+  if (!m || (!m[1] && !m[2])) throw new Error("Invalid UI amount");
+  let intPart = m[1] || "0";
+  let fracPart = m[2] || "";
+  const exponent = Number(m[3] || 0);
+  if (exponent > 0) {
+    const shift = fracPart.slice(0, exponent).padEnd(exponent, "0");
+    intPart += shift;
+    fracPart = fracPart.slice(exponent);
+  } else if (exponent < 0) {
+    const padded = intPart.padStart(-exponent + 1, "0");
+    fracPart = padded.slice(exponent) + fracPart;
+    intPart = padded.slice(0, exponent);
+  }
+  const raw = BigInt(intPart + fracPart.slice(0, d).padEnd(d, "0"));
+  if (raw > 0n) return raw;
+  if (/[1-9]/.test(intPart + fracPart)) {
+    throw new Error("Amount is below the token's smallest unit");
+  }
+  throw new Error("Invalid UI amount");
+}
+
+/** Formats raw units as an exact decimal string without trailing zeros. */
+export function formatRawAmount(raw, decimals) {
+  const d = assertDecimals(decimals);
+  const value = BigInt(raw ?? 0);
+  const negative = value < 0n;
+  const digits = (negative ? -value : value).toString().padStart(d + 1, "0");
+  const intPart = digits.slice(0, digits.length - d);
+  const fracPart = d ? digits.slice(-d).replace(/0+$/, "") : "";
+  return `${negative ? "-" : ""}${intPart}${fracPart ? `.${fracPart}` : ""}`;
+}
+
+/** Nearest Number to a raw amount; null when either input is missing. */
+export function rawToNumber(raw, decimals) {
+  if (raw == null || raw === "" || decimals == null) return null;
+  return Number(formatRawAmount(raw, decimals));
+}
+
+/** `raw * numerator / denominator` rounded down, all in BigInt. */
+export function scaleRawAmount(raw, numerator, denominator) {
+  const den = BigInt(denominator);
+  if (den === 0n) throw new Error("Cannot scale by a zero denominator");
+  return (BigInt(raw) * BigInt(numerator)) / den;
+}
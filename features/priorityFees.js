@@ -0,0 +1,167 @@
+// Priority fee strategies for Jupiter swaps:
+//   "fixed:<lamports>"                   exact total priority fee
+//   "level:<level>[:<maxLamports>]"      Jupiter estimate at a priority level
+//   "percentile:<p>[:<maxMicroLamports>]" p-th percentile of recent fees paid
+//                                         on the route's pools
+import { PublicKey } from "@solana/web3.js";
+
+export const PRIORITY_FEE_STRATEGIES = Object.freeze({
+  FIXED: "fixed",
+  LEVEL: "level",
+  PERCENTILE: "percentile",
+});
+
+export const JUPITER_PRIORITY_LEVELS = Object.freeze([
+  "low",
+  "medium",
+  "high",
+  "veryHigh",
+  "extreme",
+]);
+
+function optionalPositive(value, label) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) {
+    throw new Error(`${label} must be a positive number`);
+  }
+  return n;
+}
+
+/** Parses a strategy string; "default"/"off"/empty returns null. */
+export function parsePriorityFeeStrategy(value) {
+  if (value == null || value === "" || value === "default" || value === "off") {
+    return null;
+  }
+  const [type, arg, max] = String(value).trim().split(":");
+  if (type === PRIORITY_FEE_STRATEGIES.FIXED) {
+    const lamports = Number(arg);
+    if (!Number.isInteger(lamports) || lamports < 0) {
+      throw new Error("Fixed priority fee must be a whole number of lamports");
+    }
+    return { type, lamports };
+  }
+  if (type === PRIORITY_FEE_STRATEGIES.LEVEL) {
+    if (!JUPITER_PRIORITY_LEVELS.includes(arg)) {
+      throw new Error(
+        `Priority level must be one of: ${JUPITER_PRIORITY_LEVELS.join(", ")}`
+      );
+    }
+    return {
+      type,
+      level: arg,
+      maxLamports: optionalPositive(max, "maxLamports"),
+    };
+  }
+  if (type === PRIORITY_FEE_STRATEGIES.PERCENTILE) {
+    const percentile = Number(arg);
+    if (!Number.isFinite(percentile) || percentile < 0 || percentile > 100) {
+      throw new Error("Fee percentile must be between 0 and 100");
+    }
+    return {
+      type,
+      percentile,
+      maxMicroLamports: optionalPositive(max, "maxMicroLamports"),
+    };
+  }
+  throw new Error(
+    `Priority fee strategy must be ${Object.values(
+      PRIORITY_FEE_STRATEGIES
+    ).join(", ")} or default`
+  );
+}
+
+export function describePriorityFeeStrategy(strategy) {
+  if (!strategy) return "default";
+  if (strategy.type === PRIORITY_FEE_STRATEGIES.FIXED) {
+    return `fixed ${strategy.lamports} lamports`;
+  }
+  if (strategy.type === PRIORITY_FEE_STRATEGIES.LEVEL) {
+    return `level ${strategy.level}${
+      strategy.maxLamports ? ` (max ${strategy.maxLamports} lamports)` : ""
+    }`;
+  }
+  return `p${strategy.percentile} of recent fees${
+    strategy.maxMicroLamports
+      ? ` (max ${strategy.maxMicroLamports} µlamports/CU)`
+      : ""
+  }`;
+}
+
+function percentileOf(values, percentile) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(
+    sorted.length - 1,
+    Math.max(0, Math.ceil((percentile / 100) * sorted.length) - 1)
+  );
+  return sorted[index];
+}
+
+// Slots where nobody paid for these accounts report 0, so only paid fees are
+// sampled. Null when there are none to go by.
+async function readRecentFeePercentile(conn, percentile, accounts = []) {
+  const lockedWritableAccounts = accounts
+    .filter(Boolean)
+    .map((account) => new PublicKey(account));
+  const recent = await conn.getRecentPrioritizationFees(
+    lockedWritableAccounts.length ? { lockedWritableAccounts } : undefined
+  );
+  const paid = (recent || [])
+    .map((entry) => Number(entry.prioritizationFee) || 0)
+    .filter((fee) => fee > 0);
+  return paid.length ? percentileOf(paid, percentile) : null;
+}
+
+/**
+ * Body fields for Jupiter's /v6/swap for a strategy. A null strategy keeps the
+ * old behaviour: level "high" capped at `defaultMaxLamports`. `accounts` are
+ * the write-locked accounts of the route (its pools); a percentile with no
+ * recent fees on them falls back to that default too.
+ */
+export async function resolvePriorityFeeParams(
+  conn,
+  strategy,
+  { accounts = [], defaultMaxLamports } = {}
+) {
+  if (strategy?.type === PRIORITY_FEE_STRATEGIES.FIXED) {
+    return { prioritizationFeeLamports: strategy.lamports };
+  }
+  if (strategy?.type === PRIORITY_FEE_STRATEGIES.PERCENTILE) {
+    const fee = await readRecentFeePercentile(
+      conn,
+      strategy.percentile,
+      accounts
+    );
+    if (fee != null) {
+      const capped = strategy.maxMicroLamports
+        ? Math.min(fee, strategy.maxMicroLamports)
+        : fee;
+      return {
+        computeUnitPriceMicroLamports: Math.max(1, Math.round(capped)),
+      };
+    }
+  }
+  const level = strategy?.type === PRIORITY_FEE_STRATEGIES.LEVEL;
+  return {
+    prioritizationFeeLamports: {
+      priorityLevelWithMaxLamports: {
+        priorityLevel: level ? strategy.level : "high",
+        maxLamports: (level && strategy.maxLamports) || defaultMaxLamports,
+      },
+    },
+  };
+}
+
+/** Buy and sell strategies from settings; an invalid value falls back to default. */
+export function resolvePriorityFeeSettings(settings = {}) {
+  const read = (key) => {
+    try {
+      return parsePriorityFeeStrategy(settings?.[key]);
+    } catch (err) {
+      console.warn(`Ignoring ${key}: ${err?.message || err}`);
+      return null;
+    }
+  };
+  return { buy: read("buyPriorityFee"), sell: read("sellPriorityFee") };
+}
@@ -1,14 +1,27 @@
 // ESM: set "type": "module" in package.json
 import axios from "axios";
 import https from "node:https";
+import fs from "node:fs";
 import bs58 from "bs58";
 import { setDefaultResultOrder } from "node:dns";
 import {
   Connection,
   Keypair,
   PublicKey,
+  SendTransactionError,
   VersionedTransaction,
 } from "@solana/web3.js";
+import { parseDecimalAmount, rawToNumber } from "./decimalAmount.js";
+import {
+  evaluateTokenSafety,
+  hasTokenSafetyChecks,
+  readTokenSafetyData,
+} from "./tokenSafety.js";
+import {
+  describePriorityFeeStrategy,
+  resolvePriorityFeeParams,
+} from "./priorityFees.js";
+import { SIGNAL_REASONS } from "../signalJournal.mjs";
 
 setDefaultResultOrder?.("ipv4first");
 
@@ -19,6 +32,8 @@ const {
   WALLET_SECRET_KEY,
   SLIPPAGE_BBS,
   PRIORITY_MAX_LAMPORTS,
+  PAPER_QUOTE_FIXTURES,
+  SWAP_REBROADCAST_MS,
 } = process.env;
 
 const SOL_MINT = "So11111111111111111111111111111111111111112";
@@ -26,6 +41,23 @@ const SOL_DECIMALS = 9;
 const SPL_TOKEN_PROGRAM_ID = new PublicKey(
   "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA"
 );
+const TOKEN_2022_PROGRAM_ID = new PublicKey(
+  "TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb"
+);
+const REBROADCAST_INTERVAL_MS = Number(SWAP_REBROADCAST_MS) || 2_000;
+// Hard stop for the confirmation loop; a blockhash is valid for ~60-90s.
+const CONFIRM_MAX_WAIT_MS = 180_000;
+
+/**
+ * Definite outcome of a sent swap. Only EXPIRED guarantees the transaction
+ * can never land; UNKNOWN means we lost track of it and must not resend.
+ */
+export const SWAP_OUTCOMES = Object.freeze({
+  LANDED: "landed",
+  FAILED: "failed",
+  EXPIRED: "expired",
+  UNKNOWN: "unknown",
+});
 
 let __connection;
 let __wallet;
@@ -58,7 +90,7 @@ function ensureJax() {
   return __jax;
 }
 
-function getDefaultSlippageBps() {
+export function getDefaultSlippageBps() {
   const fallback = 50;
   if (!SLIPPAGE_BBS) return fallback;
   const parsed = Number(SLIPPAGE_BBS);
@@ -146,18 +178,20 @@ async function buildSignSendSwap({
   conn,
   wallet,
   priorityMaxLamports = 200_000,
+  priorityFee = null,
 }) {
   // 1) Build the transaction on the Jupiter side
+  const feeParams = await resolvePriorityFeeParams(conn, priorityFee, {
+    accounts: (q?.routePlan || [])
+      .map((step) => step?.swapInfo?.ammKey)
+      .filter(Boolean),
+    defaultMaxLamports: priorityMaxLamports,
+  });
   const { data } = await jax.post("/v6/swap", {
     quoteResponse: q, // ← pass the entire quote object
     userPublicKey: wallet.publicKey.toBase58(),
     asLegacyTransaction: false,
-    prioritizationFeeLamports: {
-      priorityLevelWithMaxLamports: {
-        priorityLevel: "high", // "low" | "medium" | "high" | "veryHigh" | "extreme"
-        maxLamports: priorityMaxLamports,
-      },
-    },
+    ...feeParams,
   });
 
   const { swapTransaction } = data; // base64
@@ -170,21 +204,147 @@ async function buildSignSendSwap({
   );
   tx.sign([wallet]);
 
-  const sig = await conn.sendRawTransaction(tx.serialize(), {
-    skipPreflight: false,
-    maxRetries: 3,
+  const sentAt = Date.now();
+  const sig = await sendUntilLandedOrExpired(conn, tx, {
+    lastValidBlockHeight: data.lastValidBlockHeight,
+  });
+  const confirmMs = Date.now() - sentAt;
+  return {
+    signature: sig,
+    outcome: SWAP_OUTCOMES.LANDED,
+    priorityFee: await readPaidFee(conn, sig, {
+      strategy: describePriorityFeeStrategy(priorityFee),
+      params: feeParams,
+      jupiterFeeLamports: data.prioritizationFeeLamports ?? null,
+      confirmMs,
+    }),
+  };
+}
+
+function swapOutcomeError(message, outcome, signature) {
+  const err = new Error(message);
+  err.swapOutcome = outcome;
+  err.signature = signature;
+  return err;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isConfirmedStatus(status) {
+  return (
+    status?.confirmationStatus === "confirmed" ||
+    status?.confirmationStatus === "finalized"
+  );
+}
+
+async function readSignatureStatus(conn, sig, searchTransactionHistory) {
+  const { value } = await conn.getSignatureStatuses([sig], {
+    searchTransactionHistory,
   });
+  return value?.[0] || null;
+}
+
+/**
+ * Sends the signed transaction and rebroadcasts the same bytes every
+ * REBROADCAST_INTERVAL_MS until it is confirmed, fails on chain, or the block
+ * height passes its lastValidBlockHeight. Resolves to the signature once
+ * landed; otherwise throws with `swapOutcome` set to a SWAP_OUTCOMES value.
+ */
+async function sendUntilLandedOrExpired(conn, tx, { lastValidBlockHeight }) {
+  const raw = tx.serialize();
+  const sig = bs58.encode(tx.signatures[0]);
+  const link = `https://solscan.io/tx/${sig}`;
+  // Jupiter returns the height for the blockhash it used; asking the RPC now
+  // can only give a later height, which errs on the side of waiting longer.
+  const expiresAt =
+    Number(lastValidBlockHeight) ||
+    (await conn.getLatestBlockhash("confirmed")).lastValidBlockHeight;
+
+  try {
+    await conn.sendRawTransaction(raw, { skipPreflight: false, maxRetries: 0 });
+  } catch (err) {
+    // A rejected simulation never reached the leader; anything else (a
+    // dropped connection) may have, so keep watching the signature.
+    if (err instanceof SendTransactionError) {
+      throw swapOutcomeError(
+        `Tx failed: ${err.message}`,
+        SWAP_OUTCOMES.FAILED,
+        sig
+      );
+    }
+    console.warn("Initial send failed, rebroadcasting", err?.message || err);
+  }
+
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < CONFIRM_MAX_WAIT_MS) {
+    try {
+      const status = await readSignatureStatus(conn, sig, false);
+      if (status?.err) {
+        throw swapOutcomeError(`Tx failed: ${link}`, SWAP_OUTCOMES.FAILED, sig);
+      }
+      if (isConfirmedStatus(status)) return sig;
+      const height = await conn.getBlockHeight("confirmed");
+      if (height > expiresAt) {
+        // One last look with history in case it landed between polls.
+        const last = await readSignatureStatus(conn, sig, true);
+        if (last?.err) {
+          throw swapOutcomeError(
+            `Tx failed: ${link}`,
+            SWAP_OUTCOMES.FAILED,
+            sig
+          );
+        }
+        if (isConfirmedStatus(last)) return sig;
+        if (!last) {
+          throw swapOutcomeError(
+            `Tx expired without landing: ${link}`,
+            SWAP_OUTCOMES.EXPIRED,
+            sig
+          );
+        }
+        // Only "processed" so far: it sits in a block that may still be
+        // dropped, so keep polling (without resending) until it settles.
+      } else {
+        await conn
+          .sendRawTransaction(raw, { skipPreflight: true, maxRetries: 0 })
+          .catch(() => {});
+      }
+    } catch (err) {
+      if (err.swapOutcome) throw err;
+      console.warn("Confirmation poll failed", err?.message || err);
+    }
+    await sleep(REBROADCAST_INTERVAL_MS);
+  }
+  throw swapOutcomeError(
+    `Tx status unknown after ${CONFIRM_MAX_WAIT_MS / 1000}s, check ${link}`,
+    SWAP_OUTCOMES.UNKNOWN,
+    sig
+  );
+}
 
-  const conf = await conn.confirmTransaction(sig, "confirmed");
-  if (conf.value?.err) {
-    throw new Error(`Tx failed: https://solscan.io/tx/${sig}`);
+// What the landed transaction actually paid; the base fee is 5000 lamports
+// per signature, anything above it is priority fee.
+async function readPaidFee(conn, sig, info) {
+  let feeLamports = null;
+  try {
+    const tx = await conn.getTransaction(sig, {
+      commitment: "confirmed",
+      maxSupportedTransactionVersion: 0,
+    });
+    feeLamports = tx?.meta?.fee ?? null;
+  } catch (err) {
+    console.warn("Failed to read paid fee", err?.message || err);
   }
-  return sig;
+  return {
+    ...info,
+    feeLamports,
+    priorityFeeLamports:
+      feeLamports != null ? Math.max(0, feeLamports - 5000) : null,
+  };
 }
 
 function toRawAmount(ui, decimals) {
-  if (!Number.isFinite(ui) || ui <= 0) throw new Error("Invalid UI amount");
-  return BigInt(Math.round(ui * 10 ** decimals)).toString();
+  return parseDecimalAmount(ui, decimals).toString();
 }
 
 function keypairFromAny(secret) {
@@ -231,6 +391,57 @@ async function jupSearchSymbol(symbol) {
   return data;
 }
 
+async function jupFindTokenByMint(mint) {
+  const { data } = await TOKENS_AX.get("/tokens/v2/search", {
+    params: { query: mint },
+  });
+  return (data || []).find((entry) => entry.id === mint) || null;
+}
+
+// Tokens too fresh for the Jupiter index still have a mint account on chain,
+// which is enough to swap into them directly.
+async function readMintAccount(conn, mint) {
+  let pubkey;
+  try {
+    pubkey = new PublicKey(mint);
+  } catch {
+    return null;
+  }
+  const { value } = await conn.getParsedAccountInfo(pubkey, "confirmed");
+  const parsed = value?.data?.parsed;
+  if (parsed?.type !== "mint") return null;
+  return {
+    id: mint,
+    decimals: Number(parsed.info?.decimals ?? 0),
+    tokenProgram: value.owner.toBase58(),
+  };
+}
+
+// `conn` is null for paper runs, which skip the on-chain mint lookup.
+async function resolveSignalToken(conn, { mint, symbol }) {
+  if (mint) {
+    try {
+      const indexed = await jupFindTokenByMint(mint);
+      if (indexed) return { token: indexed, resolvedBy: "mint" };
+      const onChain = conn ? await readMintAccount(conn, mint) : null;
+      if (onChain) {
+        return {
+          token: { ...onChain, symbol: symbol || mint.slice(0, 6) },
+          resolvedBy: "mint",
+        };
+      }
+    } catch (err) {
+      console.warn("Failed to resolve mint", mint, err?.message || err);
+    }
+    if (!symbol) throw new Error(`No token found for mint ${mint}`);
+  }
+  const list = await jupSearchSymbol(symbol);
+  return {
+    token: pickExactSymbolPreferVerified(list, symbol),
+    resolvedBy: "symbol",
+  };
+}
+
 async function fetchTokenMetadataMap(mints) {
   const uniqueMints = Array.from(
     new Set((mints || []).filter((mint) => typeof mint === "string" && mint))
@@ -317,30 +528,126 @@ function pickPriceValue(info) {
   return null;
 }
 
+// -----------------------------
+// Paper trading: fills are simulated, nothing is signed or sent
+// -----------------------------
+let __paperFixtures;
+
+function loadPaperQuoteFixtures() {
+  if (__paperFixtures) return __paperFixtures;
+  __paperFixtures = {};
+  if (!PAPER_QUOTE_FIXTURES) return __paperFixtures;
+  try {
+    __paperFixtures =
+      JSON.parse(fs.readFileSync(PAPER_QUOTE_FIXTURES, "utf8")) || {};
+  } catch (err) {
+    console.warn("Failed to load paper quote fixtures:", err.message);
+  }
+  return __paperFixtures;
+}
+
+// Fixtures are either a quote map alone or `{ quotes, tokens }`. `quotes` maps
+// "inputMint:outputMint" to raw output units per raw input unit and `tokens`
+// lists `{ id, symbol, decimals, marketCap }`, so paper runs can resolve and
+// quote tokens offline.
+function getFixtureQuotes() {
+  const fixtures = loadPaperQuoteFixtures();
+  return fixtures.quotes && typeof fixtures.quotes === "object"
+    ? fixtures.quotes
+    : fixtures;
+}
+
+function findFixtureToken({ mint, symbol }) {
+  const tokens = loadPaperQuoteFixtures().tokens;
+  if (!Array.isArray(tokens)) return null;
+  const wanted = normalizeLiteral(symbol).toUpperCase();
+  return (
+    (mint && tokens.find((token) => token?.id === mint)) ||
+    (wanted &&
+      tokens.find(
+        (token) => String(token?.symbol || "").toUpperCase() === wanted
+      )) ||
+    null
+  );
+}
+
+async function resolvePaperSignalToken({ mint, symbol }) {
+  const fixture = findFixtureToken({ mint, symbol });
+  if (fixture) {
+    return {
+      token: fixture,
+      resolvedBy: mint && fixture.id === mint ? "mint" : "symbol",
+    };
+  }
+  return resolveSignalToken(null, { mint, symbol });
+}
+
+async function resolvePaperMintBySymbol(symbol) {
+  const fixture = findFixtureToken({ symbol });
+  if (!fixture) return resolveMintBySymbol(symbol);
+  return { mint: fixture.id, dec: fixture.decimals, meta: fixture };
+}
+
+function getFixtureQuote({ inputMint, outputMint, amount, slippageBps }) {
+  const rate = Number(getFixtureQuotes()[`${inputMint}:${outputMint}`]);
+  if (!Number.isFinite(rate) || rate <= 0) return null;
+  const outAmount = Math.floor(Number(amount) * rate).toString();
+  return {
+    inputMint,
+    outputMint,
+    inAmount: String(amount),
+    outAmount,
+    otherAmountThreshold: outAmount,
+    swapMode: "ExactIn",
+    slippageBps,
+    priceImpactPct: "0",
+    routePlan: [],
+    paperFixture: true,
+  };
+}
+
+export function createPaperSignature() {
+  return `paper-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 10)}`;
+}
+
+/**
+ * Buys a signal token. When `options.mint` is given it is preferred over the
+ * ticker, which is only used as a fallback; `resolvedBy` in the result says
+ * which one was used.
+ */
 export async function swapOneSolToCoinLiteral(
   coinLiteral,
   amountC,
   literl,
-  marketCapMinimum
+  marketCapMinimum,
+  options = {}
 ) {
-  if (!amountC || !literl) {
+  if ((!amountC && !options.sizeAmount) || !literl) {
     return {
       status: "error",
       text: "Complete configuration",
     };
   }
   try {
-    const conn = ensureConnection();
-    const wallet = ensureWallet();
+    // Paper fills are never signed or sent, so they need neither the wallet
+    // nor the RPC; tokens and quotes come from the fixtures where present.
+    const paper = Boolean(options.paper);
+    const conn = paper ? null : ensureConnection();
+    const wallet = paper ? null : ensureWallet();
 
     // HTTP client for Jupiter v6
     const JAX = ensureJax();
 
-    // 1) mint by symbol
+    // 1) mint by contract address, else by symbol
     const outSym = normalizeLiteral(coinLiteral); // "$BONK" -> "BONK"
-    const list = await jupSearchSymbol(outSym);
-    let chosen = pickExactSymbolPreferVerified(list, outSym);
-    let outputMint = chosen.id;
+    const tokenQuery = { mint: options.mint || null, symbol: outSym };
+    const { token: chosen, resolvedBy } = paper
+      ? await resolvePaperSignalToken(tokenQuery)
+      : await resolveSignalToken(conn, tokenQuery);
+    const outputMint = chosen.id;
+    const outLabel = outSym || chosen.symbol || outputMint;
     const minMarketCap = Number(marketCapMinimum) || 0;
     const tokenMarketCap = Number(
       chosen.marketCap ?? chosen.market_cap ?? chosen.marketcap ?? 0
@@ -349,7 +656,8 @@ export async function swapOneSolToCoinLiteral(
       if (!Number.isFinite(tokenMarketCap) || tokenMarketCap < minMarketCap) {
         return {
           status: "skipped",
-          text: `Skipped ${outSym}: market cap ${formatNumber(
+          skipReason: SIGNAL_REASONS.MARKET_CAP,
+          text: `Skipped ${outLabel}: market cap ${formatNumber(
             tokenMarketCap
           )} < minimum ${formatNumber(minMarketCap)}`,
           marketCap: Number.isFinite(tokenMarketCap) ? tokenMarketCap : null,
@@ -357,15 +665,69 @@ export async function swapOneSolToCoinLiteral(
             ? formatNumber(tokenMarketCap)
             : null,
           marketCapMinimum: minMarketCap,
+          purchasedMint: outputMint,
+          resolvedBy,
+        };
+      }
+    }
+    // The safety checks read the chain, which paper runs do not.
+    let safety = null;
+    if (conn && options.safety && hasTokenSafetyChecks(options.safety)) {
+      let data = null;
+      let readError = null;
+      try {
+        data = await readTokenSafetyData(conn, outputMint, options.safety);
+      } catch (err) {
+        readError = err;
+      }
+      safety = evaluateTokenSafety({
+        data,
+        config: options.safety,
+        error: readError,
+      });
+      if (safety.blocked) {
+        return {
+          status: "skipped",
+          skipReason: SIGNAL_REASONS.TOKEN_SAFETY,
+          skipDetail: safety.blockReasons.join("; "),
+          text: `Skipped ${outLabel}: ${safety.blockReasons.join("; ")}`,
+          marketCap: Number.isFinite(tokenMarketCap) ? tokenMarketCap : null,
+          purchasedMint: outputMint,
+          resolvedBy,
+          safety,
+        };
+      }
+    }
+    // Callers may size the buy once the token (and its market cap) is known;
+    // an amount of 0 skips the swap.
+    let sizing = null;
+    if (typeof options.sizeAmount === "function") {
+      sizing = await options.sizeAmount({
+        marketCap: Number.isFinite(tokenMarketCap) ? tokenMarketCap : null,
+        token: chosen,
+      });
+      if (!sizing || !(Number(sizing.amount) > 0)) {
+        return {
+          status: "skipped",
+          skipReason: sizing?.skipReason || SIGNAL_REASONS.SIZING,
+          text: `Skipped ${outLabel}: ${sizing?.reason || "no position size"}`,
+          marketCap: Number.isFinite(tokenMarketCap) ? tokenMarketCap : null,
+          purchasedMint: outputMint,
+          resolvedBy,
+          sizing,
         };
       }
     }
-    const inToken = await resolveMintBySymbol(literl); // ← resolve USDT
-    const uiAmount = Number(amountC); // ← 10 USDT
-    if (!Number.isFinite(uiAmount) || uiAmount <= 0) {
-      throw new Error("Invalid swap amount");
+    const inToken = paper
+      ? await resolvePaperMintBySymbol(literl)
+      : await resolveMintBySymbol(literl); // ← resolve USDT
+    let amount; // "10" USDT -> "10000000"
+    try {
+      amount = toRawAmount(sizing ? sizing.amount : amountC, inToken.dec);
+    } catch (err) {
+      throw new Error(`Invalid swap amount: ${err.message}`);
     }
-    const amount = toRawAmount(uiAmount, inToken.dec); // 10 * 10^6 -> "10000000"
+    const uiAmount = rawToNumber(amount, inToken.dec);
 
     const params = {
       inputMint: inToken.mint,
@@ -375,17 +737,42 @@ export async function swapOneSolToCoinLiteral(
       swapMode: "ExactIn",
     };
 
-    const { data: quoteRaw } = await JAX.get("/v6/quote", { params });
+    const quoteRaw =
+      (paper && getFixtureQuote(params)) ||
+      (await JAX.get("/v6/quote", { params })).data;
 
-    const sig = await buildSignSendSwap({
-      jax: JAX,
-      q: quoteRaw,
-      conn,
-      wallet,
-      priorityMaxLamports: getPriorityFeeLamports(),
-    });
+    // Lets the caller refuse a quote (e.g. too much price impact) before
+    // anything is signed.
+    const refusal =
+      typeof options.checkQuote === "function"
+        ? await options.checkQuote(quoteRaw)
+        : null;
+    if (refusal) {
+      return {
+        status: "skipped",
+        skipReason: refusal.skipReason || SIGNAL_REASONS.SWAP_SKIPPED,
+        skipDetail: refusal.reason,
+        text: `Skipped ${outLabel}: ${refusal.reason}`,
+        marketCap: Number.isFinite(tokenMarketCap) ? tokenMarketCap : null,
+        purchasedMint: outputMint,
+        resolvedBy,
+        sizing,
+      };
+    }
 
-    const solcanLink = `https://solscan.io/tx/${sig}`;
+    const sent = paper
+      ? { signature: createPaperSignature(), priorityFee: null }
+      : await buildSignSendSwap({
+          jax: JAX,
+          q: quoteRaw,
+          conn,
+          wallet,
+          priorityMaxLamports: getPriorityFeeLamports(),
+          priorityFee: options.priorityFee || null,
+        });
+    const sig = sent.signature;
+
+    const solcanLink = paper ? "paper fill" : `https://solscan.io/tx/${sig}`;
 
     const hasMarketCap = Number.isFinite(tokenMarketCap);
 
@@ -394,10 +781,7 @@ export async function swapOneSolToCoinLiteral(
       typeof chosen?.decimals === "number" && Number.isFinite(chosen.decimals)
         ? Number(chosen.decimals)
         : null;
-    const outAmountUi =
-      outAmountRaw && outDecimals != null
-        ? Number(outAmountRaw) / 10 ** outDecimals
-        : null;
+    const outAmountUi = rawToNumber(outAmountRaw, outDecimals);
     const baseDecimals =
       typeof inToken?.dec === "number" && Number.isFinite(inToken.dec)
         ? Number(inToken.dec)
@@ -413,19 +797,24 @@ export async function swapOneSolToCoinLiteral(
       marketCap: hasMarketCap ? tokenMarketCap : null,
       marketCapFormatted: hasMarketCap ? formatNumber(tokenMarketCap) : null,
       purchasedMint: outputMint,
-      purchasedSymbol: chosen?.symbol || outSym,
+      purchasedSymbol: chosen?.symbol || outLabel,
       purchasedAmountRaw: outAmountRaw || null,
       purchasedAmountUi:
         outAmountUi != null && Number.isFinite(outAmountUi)
           ? outAmountUi
           : null,
       purchasedDecimals: outDecimals,
+      purchasedTokenProgram: chosen?.tokenProgram || null,
       spentAmountUi: Number.isFinite(uiAmount) ? Number(uiAmount) : null,
       spentAmountRaw: amount,
       baseMint: inToken?.mint || null,
       baseDecimals,
       baseSymbol,
       transactionSignature: sig,
+      priorityFee: sent.priorityFee,
+      resolvedBy,
+      sizing,
+      safety,
     };
   } catch (error) {
     console.log("ERROR", error);
@@ -437,6 +826,8 @@ export async function swapOneSolToCoinLiteral(
       errorName: error?.name || null,
       errorMessage: message,
       httpStatus: error?.response?.status ?? null,
+      swapOutcome: error?.swapOutcome || null,
+      transactionSignature: error?.signature || null,
     };
   }
 }
@@ -445,16 +836,23 @@ export async function resolveSymbolToMint(symbol) {
   return resolveMintBySymbol(symbol);
 }
 
-export async function fetchWalletTokens({ vsToken = "USDT" } = {}) {
+async function readOnChainBalances() {
   const conn = ensureConnection();
   const wallet = ensureWallet();
 
-  const [solLamports, tokenAccounts] = await Promise.all([
+  const [solLamports, splAccounts, token2022Accounts] = await Promise.all([
     conn.getBalance(wallet.publicKey, "confirmed"),
     conn.getParsedTokenAccountsByOwner(wallet.publicKey, {
       programId: SPL_TOKEN_PROGRAM_ID,
     }),
+    conn.getParsedTokenAccountsByOwner(wallet.publicKey, {
+      programId: TOKEN_2022_PROGRAM_ID,
+    }),
   ]);
+  const tokenAccounts = [
+    ...(splAccounts.value || []),
+    ...(token2022Accounts.value || []),
+  ];
 
   const tokens = [];
 
@@ -470,7 +868,7 @@ export async function fetchWalletTokens({ vsToken = "USDT" } = {}) {
     });
   }
 
-  for (const acc of tokenAccounts.value || []) {
+  for (const acc of tokenAccounts) {
     const parsed = acc.account?.data?.parsed;
     const info = parsed?.info;
     const tokenAmount = info?.tokenAmount;
@@ -489,8 +887,117 @@ export async function fetchWalletTokens({ vsToken = "USDT" } = {}) {
       uiAmount,
       uiAmountString,
       source: "spl",
+      tokenProgram: acc.account.owner.toBase58(),
+    });
+  }
+
+  const token2022Mints = tokens
+    .filter((t) => t.tokenProgram === TOKEN_2022_PROGRAM_ID.toBase58())
+    .map((t) => t.mint);
+  if (token2022Mints.length) {
+    try {
+      const fees = await readTransferFees(conn, token2022Mints);
+      for (const token of tokens) {
+        const fee = fees.get(token.mint);
+        if (fee) token.transferFee = fee;
+      }
+    } catch (err) {
+      console.warn("Failed to read transfer fees", err?.message || err);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Transfer-fee settings of Token-2022 mints, keyed by mint. The newer fee
+ * takes over once its epoch starts.
+ */
+async function readTransferFees(conn, mints) {
+  const out = new Map();
+  const { epoch } = await conn.getEpochInfo("confirmed");
+  for (let i = 0; i < mints.length; i += 100) {
+    const batch = mints.slice(i, i + 100);
+    const { value } = await conn.getMultipleParsedAccounts(
+      batch.map((mint) => new PublicKey(mint)),
+      { commitment: "confirmed" }
+    );
+    value.forEach((account, index) => {
+      const extensions = account?.data?.parsed?.info?.extensions || [];
+      const config = extensions.find(
+        (ext) => ext?.extension === "transferFeeConfig"
+      )?.state;
+      if (!config) return;
+      const newer = config.newerTransferFee;
+      const active =
+        newer && epoch >= Number(newer.epoch)
+          ? newer
+          : config.olderTransferFee || newer;
+      const basisPoints = Number(active?.transferFeeBasisPoints || 0);
+      if (basisPoints <= 0) return;
+      out.set(batch[index], {
+        basisPoints,
+        maximumFee: String(active.maximumFee ?? 0),
+      });
     });
   }
+  return out;
+}
+
+/** Fee withheld when `rawAmount` is transferred, in raw units. */
+export function computeTransferFee(rawAmount, transferFee) {
+  const amount = BigInt(rawAmount || 0);
+  const bps = BigInt(transferFee?.basisPoints || 0);
+  if (amount <= 0n || bps <= 0n) return 0n;
+  const fee = (amount * bps + 9_999n) / 10_000n;
+  const max = BigInt(transferFee.maximumFee || 0);
+  return max > 0n && fee > max ? max : fee;
+}
+
+// What actually arrives when the whole balance is sold.
+function withSellableAmount(token) {
+  if (!token.transferFee) {
+    return {
+      ...token,
+      sellableRawAmount: token.rawAmount,
+      sellableUiAmount: Number(token.uiAmount),
+    };
+  }
+  const fee = computeTransferFee(token.rawAmount, token.transferFee);
+  const sellableRaw = BigInt(token.rawAmount) - fee;
+  return {
+    ...token,
+    sellableRawAmount: sellableRaw.toString(),
+    sellableUiAmount: rawToNumber(sellableRaw, Number(token.decimals || 0)),
+  };
+}
+
+// Paper balances are `[{ mint, rawAmount, decimals }]` kept by the caller.
+function paperBalancesToTokens(balances) {
+  return balances
+    .filter((entry) => entry?.mint && BigInt(entry.rawAmount || 0) > 0n)
+    .map((entry) => {
+      const decimals = Number(entry.decimals ?? 0);
+      const uiAmount = rawToNumber(entry.rawAmount, decimals);
+      return {
+        mint: entry.mint,
+        decimals,
+        rawAmount: String(entry.rawAmount),
+        uiAmount,
+        uiAmountString: uiAmount.toString(),
+        source: "paper",
+      };
+    });
+}
+
+/**
+ * Wallet tokens with prices and metadata. `balances` replaces the on-chain
+ * read with virtual paper-trading balances.
+ */
+export async function fetchWalletTokens({ vsToken = "USDT", balances } = {}) {
+  const tokens = Array.isArray(balances)
+    ? paperBalancesToTokens(balances)
+    : await readOnChainBalances();
 
   if (!tokens.length) return [];
 
@@ -511,7 +1018,7 @@ export async function fetchWalletTokens({ vsToken = "USDT" } = {}) {
     ).toString();
   }
 
-  const consolidated = Array.from(aggregated.values());
+  const consolidated = Array.from(aggregated.values()).map(withSellableAmount);
 
   let priceByMint = {};
   const fallbackVsTokens = [];
@@ -545,9 +1052,10 @@ export async function fetchWalletTokens({ vsToken = "USDT" } = {}) {
     console.log("priceUsdt", priceUsdt, price);
     const valueUsdt =
       priceUsdt != null && Number.isFinite(priceUsdt)
-        ? priceUsdt * Number(token.uiAmount)
+        ? priceUsdt * Number(token.sellableUiAmount)
         : null;
     const meta = metaByMint[token.mint] || {};
+    const liquidity = Number(meta.liquidity);
     return {
       ...token,
       symbol:
@@ -557,6 +1065,7 @@ export async function fetchWalletTokens({ vsToken = "USDT" } = {}) {
       name: meta.name || price?.name || null,
       priceUsdt,
       valueUsdt,
+      liquidity: Number.isFinite(liquidity) ? liquidity : null,
     };
   });
 
@@ -575,6 +1084,7 @@ export async function getSwapQuote({
   amount,
   slippageBps,
   swapMode = "ExactIn",
+  paper = false,
 }) {
   const jax = ensureJax();
   const params = {
@@ -584,6 +1094,8 @@ export async function getSwapQuote({
     swapMode,
     slippageBps: slippageBps ?? getDefaultSlippageBps(),
   };
+  const fixture = paper && swapMode === "ExactIn" && getFixtureQuote(params);
+  if (fixture) return fixture;
   try {
     const { data } = await jax.get("/v6/quote", { params });
     return data;
@@ -608,8 +1120,15 @@ export async function getSwapQuote({
   }
 }
 
+/**
+ * Signs and sends a quote. Resolves to `{ signature, priorityFee }`;
+ * `opt.priorityFee` is a strategy from parsePriorityFeeStrategy.
+ */
 export async function executeSwapQuote(quoteResponse, opt = {}) {
   if (!quoteResponse) throw new Error("quoteResponse is required");
+  if (opt.paper) {
+    return { signature: createPaperSignature(), priorityFee: null };
+  }
   const conn = ensureConnection();
   const wallet = ensureWallet();
   const jax = ensureJax();
@@ -619,6 +1138,7 @@ export async function executeSwapQuote(quoteResponse, opt = {}) {
     conn,
     wallet,
     priorityMaxLamports: opt.priorityMaxLamports ?? getPriorityFeeLamports(),
+    priorityFee: opt.priorityFee || null,
   });
 }
 
@@ -0,0 +1,201 @@
+// On-chain safety checks for a token before it is bought. Each check is
+// "off", "warn" or "block":
+//   safetyMintAuthority    mint authority not revoked
+//   safetyFreezeAuthority  freeze authority present
+//   safetyTopHolders       top `safetyTopHoldersCount` accounts hold more than
+//                          `safetyTopHoldersPercent` of supply; pool vaults and
+//                          bonding curves are not counted
+import { PublicKey } from "@solana/web3.js";
+
+export const SAFETY_ACTIONS = Object.freeze({
+  OFF: "off",
+  WARN: "warn",
+  BLOCK: "block",
+});
+
+export const SAFETY_CHECKS = Object.freeze({
+  MINT_AUTHORITY: "mintAuthority",
+  FREEZE_AUTHORITY: "freezeAuthority",
+  TOP_HOLDERS: "topHolders",
+});
+
+const DEFAULT_TOP_HOLDERS_PERCENT = 50;
+const DEFAULT_TOP_HOLDERS_COUNT = 10;
+// getTokenLargestAccounts never returns more than this many accounts.
+const MAX_TOP_HOLDERS_COUNT = 20;
+
+export function normalizeSafetyAction(value) {
+  const action = String(value ?? SAFETY_ACTIONS.OFF)
+    .trim()
+    .toLowerCase();
+  if (!Object.values(SAFETY_ACTIONS).includes(action)) {
+    throw new Error(
+      `Safety check must be one of: ${Object.values(SAFETY_ACTIONS).join(", ")}`
+    );
+  }
+  return action;
+}
+
+function readAction(value) {
+  try {
+    return normalizeSafetyAction(value);
+  } catch {
+    return SAFETY_ACTIONS.OFF;
+  }
+}
+
+export function resolveTokenSafetySettings(settings = {}) {
+  const percent = Number(settings?.safetyTopHoldersPercent);
+  const count = Number(settings?.safetyTopHoldersCount);
+  return {
+    [SAFETY_CHECKS.MINT_AUTHORITY]: readAction(settings?.safetyMintAuthority),
+    [SAFETY_CHECKS.FREEZE_AUTHORITY]: readAction(
+      settings?.safetyFreezeAuthority
+    ),
+    [SAFETY_CHECKS.TOP_HOLDERS]: readAction(settings?.safetyTopHolders),
+    topHoldersPercent:
+      Number.isFinite(percent) && percent > 0
+        ? percent
+        : DEFAULT_TOP_HOLDERS_PERCENT,
+    topHoldersCount:
+      Number.isInteger(count) && count > 0
+        ? Math.min(count, MAX_TOP_HOLDERS_COUNT)
+        : DEFAULT_TOP_HOLDERS_COUNT,
+  };
+}
+
+export function hasTokenSafetyChecks(config) {
+  return Object.values(SAFETY_CHECKS).some(
+    (check) => config?.[check] && config[check] !== SAFETY_ACTIONS.OFF
+  );
+}
+
+// AMM vaults and the pump.fun bonding curve are token accounts owned by a
+// program address (a PDA), which no wallet can sign for. Holders with an
+// off-curve owner are therefore liquidity, not concentration.
+async function excludeProgramOwnedHolders(conn, largest) {
+  if (!largest.length) return { holders: [], excluded: 0 };
+  const { value: accounts } = await conn.getMultipleParsedAccounts(
+    largest.map((entry) => entry.address),
+    { commitment: "confirmed" }
+  );
+  const holders = largest.filter((entry, index) => {
+    const owner = accounts[index]?.data?.parsed?.info?.owner;
+    return !owner || PublicKey.isOnCurve(new PublicKey(owner).toBytes());
+  });
+  return { holders, excluded: largest.length - holders.length };
+}
+
+/**
+ * Mint authorities, supply and the largest wallet-held token accounts. The
+ * holder list is only fetched when the top-holders check is on.
+ */
+export async function readTokenSafetyData(conn, mint, config) {
+  const pubkey = new PublicKey(mint);
+  const [{ value: account }, largest] = await Promise.all([
+    conn.getParsedAccountInfo(pubkey, "confirmed"),
+    config?.[SAFETY_CHECKS.TOP_HOLDERS] !== SAFETY_ACTIONS.OFF
+      ? conn.getTokenLargestAccounts(pubkey, "confirmed")
+      : null,
+  ]);
+  const info = account?.data?.parsed?.info;
+  if (!info) throw new Error(`Mint account ${mint} not found`);
+  const filtered = largest
+    ? await excludeProgramOwnedHolders(conn, largest.value || [])
+    : null;
+  return {
+    mintAuthority: info.mintAuthority || null,
+    freezeAuthority: info.freezeAuthority || null,
+    supplyRaw: String(info.supply ?? "0"),
+    largestRaw: filtered
+      ? filtered.holders.map((entry) => String(entry.amount ?? "0"))
+      : null,
+    excludedHolders: filtered ? filtered.excluded : 0,
+  };
+}
+
+function topHoldersPercent(data, count) {
+  const supply = BigInt(data.supplyRaw || 0);
+  if (supply <= 0n || !data.largestRaw) return null;
+  const held = data.largestRaw
+    .slice(0, count)
+    .reduce((sum, amount) => sum + BigInt(amount), 0n);
+  // Basis points keep two decimals without leaving BigInt.
+  return Number((held * 10_000n) / supply) / 100;
+}
+
+/**
+ * Runs the enabled checks. `data` is null when it could not be read; a check
+ * set to block then blocks, since it could not be verified.
+ */
+export function evaluateTokenSafety({ data, config, error }) {
+  const checks = [];
+  const push = (check, passed, detail) => {
+    const action = config[check];
+    if (!action || action === SAFETY_ACTIONS.OFF) return;
+    checks.push({ check, action, passed, detail });
+  };
+  const unavailable = `could not be verified${
+    error ? ` (${error.message || error})` : ""
+  }`;
+
+  push(
+    SAFETY_CHECKS.MINT_AUTHORITY,
+    data ? !data.mintAuthority : null,
+    !data
+      ? `mint authority ${unavailable}`
+      : data.mintAuthority
+      ? `mint authority not revoked (${data.mintAuthority})`
+      : "mint authority revoked"
+  );
+  push(
+    SAFETY_CHECKS.FREEZE_AUTHORITY,
+    data ? !data.freezeAuthority : null,
+    !data
+      ? `freeze authority ${unavailable}`
+      : data.freezeAuthority
+      ? `freeze authority present (${data.freezeAuthority})`
+      : "no freeze authority"
+  );
+  const share = data ? topHoldersPercent(data, config.topHoldersCount) : null;
+  push(
+    SAFETY_CHECKS.TOP_HOLDERS,
+    share == null ? null : share <= config.topHoldersPercent,
+    share == null
+      ? `top holders ${unavailable}`
+      : `top ${config.topHoldersCount} holders own ${share.toFixed(
+          2
+        )}% (limit ${config.topHoldersPercent}%${
+          data.excludedHolders
+            ? `, ${data.excludedHolders} pool account${
+                data.excludedHolders === 1 ? "" : "s"
+              } excluded`
+            : ""
+        })`
+  );
+
+  const failed = checks.filter((entry) => entry.passed !== true);
+  const blocking = failed.filter(
+    (entry) => entry.action === SAFETY_ACTIONS.BLOCK
+  );
+  return {
+    checkedAt: new Date().toISOString(),
+    checks,
+    blocked: blocking.length > 0,
+    blockReasons: blocking.map((entry) => entry.detail),
+    warnings: failed
+      .filter((entry) => entry.action === SAFETY_ACTIONS.WARN)
+      .map((entry) => entry.detail),
+  };
+}
+
+function safetyIcon(entry) {
+  if (entry.passed) return "✅";
+  return entry.action === SAFETY_ACTIONS.BLOCK ? "⛔" : "⚠️";
+}
+
+/** Notification lines for a safety result; empty when nothing was checked. */
+export function formatTokenSafetyLines(safety) {
+  if (!safety?.checks?.length) return [];
+  return safety.checks.map((entry) => `${safetyIcon(entry)} ${entry.detail}`);
+}
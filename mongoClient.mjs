@@ -4,6 +4,8 @@ const MONGODB_URI = process.env.MONGODB_URI || "";
 const MONGODB_DB = process.env.MONGODB_DB || "";
 const STATE_COLLECTION =
   process.env.MONGODB_STATE_COLLECTION || "botState";
+const SIGNALS_COLLECTION =
+  process.env.MONGODB_SIGNALS_COLLECTION || "signalJournal";
 
 export const mongoConfigured = Boolean(MONGODB_URI && MONGODB_DB);
 
@@ -49,6 +51,7 @@ export async function initMongo() {
       db
         .collection(STATE_COLLECTION)
         .createIndex({ "tokens.mint": 1 }, { sparse: true }),
+      db.collection(SIGNALS_COLLECTION).createIndex({ receivedAt: -1 }),
     ]);
     return true;
   } catch (err) {
@@ -202,6 +205,11 @@ export const updateWalletAggregate = withMongoGuard(
   }
 );
 
+// Paper trading keeps its own state document next to the live one.
+function tradingStateId(namespace) {
+  return namespace ? `tradingResults:${namespace}` : "tradingResults";
+}
+
 export const saveTradingState = withMongoGuard(async (db, state) => {
   if (!state || typeof state !== "object") return null;
   const collection = db.collection(STATE_COLLECTION);
@@ -230,22 +238,22 @@ export const saveTradingState = withMongoGuard(async (db, state) => {
     : { updatedAt: now };
 
   const doc = {
-    _id: "tradingResults",
+    _id: tradingStateId(state.namespace),
     positions,
     history,
     summary,
     updatedAt: now,
   };
 
-  return collection.replaceOne({ _id: "tradingResults" }, doc, {
+  return collection.replaceOne({ _id: doc._id }, doc, {
     upsert: true,
   });
 });
 
-export const loadTradingState = withMongoGuard(async (db) => {
+export const loadTradingState = withMongoGuard(async (db, namespace) => {
   const doc = await db
     .collection(STATE_COLLECTION)
-    .findOne({ _id: "tradingResults" });
+    .findOne({ _id: tradingStateId(namespace) });
   if (!doc) return null;
   const positions = Array.isArray(doc.positions)
     ? doc.positions.map((entry) => ({
@@ -275,6 +283,32 @@ export const getTradingSummary = withMongoGuard(async (db) => {
   };
 });
 
+export const insertSignalJournalEntry = withMongoGuard(async (db, entry) => {
+  if (!entry || typeof entry !== "object") return null;
+  return db.collection(SIGNALS_COLLECTION).insertOne({
+    ...entry,
+    receivedAt: entry.receivedAt ? new Date(entry.receivedAt) : new Date(),
+  });
+});
+
+export const loadSignalJournal = withMongoGuard(
+  async (db, { limit = 20 } = {}) => {
+    const docs = await db
+      .collection(SIGNALS_COLLECTION)
+      .find({}, { projection: { _id: 0 } })
+      .sort({ receivedAt: -1 })
+      .limit(Math.max(1, Number(limit) || 20))
+      .toArray();
+    return docs.map((doc) => ({
+      ...doc,
+      receivedAt:
+        doc.receivedAt instanceof Date
+          ? doc.receivedAt.toISOString()
+          : doc.receivedAt || null,
+    }));
+  }
+);
+
 export function mongoIsActive() {
   return !disabled;
 }
@@ -0,0 +1,58 @@
+const DEFAULT_PAPER_BALANCE = 10;
+
+export const PAPER_NAMESPACE = "paper";
+
+/** Paper mode comes from PAPER_TRADING or the `paperTrading` setting. */
+export function resolvePaperMode(settings) {
+  const fromEnv = String(process.env.PAPER_TRADING || "").toLowerCase();
+  if (["1", "true", "on"].includes(fromEnv)) return true;
+  return settings?.paperTrading === true;
+}
+
+/**
+ * Virtual wallet: a base-token balance in UI units plus raw token balances by
+ * mint. It lives on the paper summary so it is persisted with the positions.
+ */
+export function createPaperWallet(settings) {
+  const starting = Number(settings?.paperStartingBalance);
+  return {
+    baseSymbol: settings?.token || null,
+    baseBalance:
+      Number.isFinite(starting) && starting > 0
+        ? starting
+        : DEFAULT_PAPER_BALANCE,
+    tokens: {},
+  };
+}
+
+/** Token balances in the shape `fetchWalletTokens({ balances })` expects. */
+export function listPaperBalances(wallet) {
+  return Object.entries(wallet?.tokens || {}).map(([mint, entry]) => ({
+    mint,
+    rawAmount: entry.rawAmount,
+    decimals: entry.decimals,
+  }));
+}
+
+export function applyPaperBuy(wallet, { mint, rawAmount, decimals, spentUi }) {
+  wallet.baseBalance = Number(wallet.baseBalance || 0) - Number(spentUi || 0);
+  if (!mint || !rawAmount) return;
+  const held = BigInt(wallet.tokens[mint]?.rawAmount || 0);
+  wallet.tokens[mint] = {
+    rawAmount: (held + BigInt(rawAmount)).toString(),
+    decimals: Number(decimals ?? wallet.tokens[mint]?.decimals ?? 0),
+  };
+}
+
+export function applyPaperSell(wallet, { mint, rawAmount, receivedUi }) {
+  wallet.baseBalance =
+    Number(wallet.baseBalance || 0) + Number(receivedUi || 0);
+  const entry = wallet.tokens[mint];
+  if (!entry) return;
+  const left = BigInt(entry.rawAmount || 0) - BigInt(rawAmount || 0);
+  if (left > 0n) {
+    entry.rawAmount = left.toString();
+  } else {
+    delete wallet.tokens[mint];
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Compares tracked positions with wallet balances without changing anything.
+ * Positions the wallet no longer holds are `closed`, ones it holds less of are
+ * `shrunk` and ones it holds more of are `grown`; wallet tokens no position
+ * tracks (other than the ignored base tokens) are `untracked`.
+ */
+export function diffPositionsWithWallet(
+  positions,
+  tokens,
+  { ignoreMints = [], ignoreSymbols = [] } = {}
+) {
+  const walletByMint = new Map((tokens || []).map((t) => [t.mint, t]));
+  const tracked = new Set();
+  const closed = [];
+  const shrunk = [];
+  const grown = [];
+  for (const position of positions || []) {
+    tracked.add(position.mint);
+    const token = walletByMint.get(position.mint);
+    const heldRaw = BigInt(token?.rawAmount || 0);
+    const trackedRaw = BigInt(position.amountRaw || 0);
+    const entry = {
+      mint: position.mint,
+      symbol: position.symbol || position.mint,
+      trackedRaw: trackedRaw.toString(),
+      heldRaw: heldRaw.toString(),
+      trackedUi: Number(position.amountUi || 0),
+      heldUi: token ? Number(token.uiAmount) : 0,
+    };
+    if (heldRaw <= 0n) closed.push(entry);
+    else if (heldRaw < trackedRaw) shrunk.push(entry);
+    else if (heldRaw > trackedRaw) grown.push(entry);
+  }
+  const skipMints = new Set(ignoreMints.filter(Boolean));
+  const skipSymbols = new Set(
+    ignoreSymbols.filter(Boolean).map((symbol) => symbol.toUpperCase())
+  );
+  const untracked = (tokens || [])
+    .filter(
+      (token) =>
+        !tracked.has(token.mint) &&
+        !skipMints.has(token.mint) &&
+        !skipSymbols.has(String(token.symbol || "").toUpperCase())
+    )
+    .map((token) => ({
+      mint: token.mint,
+      symbol: token.symbol || token.mint,
+      uiAmount: Number(token.uiAmount),
+      valueUsdt: Number.isFinite(token.valueUsdt) ? token.valueUsdt : null,
+    }));
+  return { closed, shrunk, grown, untracked };
+}
+
+export function hasReconcileDifferences(diff) {
+  return Boolean(
+    diff &&
+      (diff.closed.length ||
+        diff.shrunk.length ||
+        diff.grown.length ||
+        diff.untracked.length)
+  );
+}
+
+export function formatReconcileReport(diff) {
+  if (!hasReconcileDifferences(diff)) {
+    return "🔎 Positions match the wallet.";
+  }
+  const lines = ["🔎 Position reconciliation"];
+  for (const entry of diff.closed) {
+    lines.push(`❌ ${entry.symbol}: not in the wallet, position closed`);
+  }
+  for (const entry of diff.shrunk) {
+    lines.push(
+      `➖ ${entry.symbol}: tracked ${entry.trackedUi}, wallet ${entry.heldUi}, position reduced`
+    );
+  }
+  for (const entry of diff.grown) {
+    lines.push(
+      `➕ ${entry.symbol}: tracked ${entry.trackedUi}, wallet ${entry.heldUi} (extra not tracked)`
+    );
+  }
+  for (const entry of diff.untracked) {
+    lines.push(`❔ ${entry.symbol}: ${entry.uiAmount} held, not tracked`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,160 @@
+export const SIZING_MODES = Object.freeze({
+  FIXED: "fixed",
+  PERCENT_OF_BALANCE: "percentOfBalance",
+  MARKET_CAP_TIERS: "marketCapTiers",
+});
+
+const SIZING_MODE_VALUES = Object.values(SIZING_MODES);
+
+// SOL kept back in percent mode so the buy can still pay fees and the rent
+// for the new token account.
+const DEFAULT_SOL_FEE_RESERVE = 0.02;
+
+function resolveSolFeeReserve() {
+  const fromEnv = Number(process.env.SOL_FEE_RESERVE);
+  return process.env.SOL_FEE_RESERVE && Number.isFinite(fromEnv) && fromEnv >= 0
+    ? fromEnv
+    : DEFAULT_SOL_FEE_RESERVE;
+}
+
+export function normalizeSizingMode(value) {
+  const mode = String(value || SIZING_MODES.FIXED).trim();
+  if (!SIZING_MODE_VALUES.includes(mode)) {
+    throw new Error(
+      `Sizing mode must be one of: ${SIZING_MODE_VALUES.join(", ")}`
+    );
+  }
+  return mode;
+}
+
+/**
+ * Market-cap tiers as `[{ minMarketCap, amount }]`, ascending. Accepts an
+ * array or "0:0.05,1000000:0.1" (market cap floor : buy amount); "off" clears.
+ */
+export function parseMarketCapTiers(value) {
+  if (value == null || value === "" || value === "off") return [];
+  const raw = Array.isArray(value)
+    ? value
+    : String(value)
+        .split(",")
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .map((part) => {
+          const [minMarketCap, amount] = part.split(":");
+          return { minMarketCap, amount };
+        });
+  const tiers = raw.map((tier) => ({
+    minMarketCap: Number(tier?.minMarketCap),
+    amount: Number(tier?.amount),
+  }));
+  for (const tier of tiers) {
+    if (!Number.isFinite(tier.minMarketCap) || tier.minMarketCap < 0) {
+      throw new Error("Tier market caps must be non-negative numbers");
+    }
+    if (!Number.isFinite(tier.amount) || tier.amount < 0) {
+      throw new Error("Tier amounts must be non-negative numbers");
+    }
+  }
+  for (let i = 1; i < tiers.length; i += 1) {
+    if (tiers[i].minMarketCap <= tiers[i - 1].minMarketCap) {
+      throw new Error("Tier market caps must be ascending");
+    }
+  }
+  return tiers;
+}
+
+export function resolveSizingSettings(settings) {
+  let mode = SIZING_MODES.FIXED;
+  let tiers = [];
+  try {
+    mode = normalizeSizingMode(settings?.sizingMode);
+    tiers = parseMarketCapTiers(settings?.sizingMarketCapTiers);
+  } catch {
+    // fall back to the fixed amount
+  }
+  const percent = Number(settings?.sizingBalancePercent || 0);
+  return {
+    mode,
+    amount: Number(settings?.amount || 0),
+    balancePercent: Number.isFinite(percent) && percent > 0 ? percent : 0,
+    tiers,
+  };
+}
+
+export function needsBaseBalance(settings) {
+  return (
+    resolveSizingSettings(settings).mode === SIZING_MODES.PERCENT_OF_BALANCE
+  );
+}
+
+export function needsMarketCap(settings) {
+  return resolveSizingSettings(settings).mode === SIZING_MODES.MARKET_CAP_TIERS;
+}
+
+function formatAmount(value) {
+  return Number(value.toFixed(6)).toString();
+}
+
+/**
+ * Buy size in base-token units and a short explanation. `baseBalance` is only
+ * read in percent mode and `marketCap` only in tier mode; an amount of 0 means
+ * the signal should not be bought.
+ */
+export function computePositionSize({ settings, baseBalance, marketCap }) {
+  const sizing = resolveSizingSettings(settings);
+  if (sizing.mode === SIZING_MODES.PERCENT_OF_BALANCE) {
+    const balance = Number(baseBalance);
+    if (!Number.isFinite(balance) || balance <= 0) {
+      return { mode: sizing.mode, amount: 0, reason: "no base balance" };
+    }
+    const reserve =
+      String(settings?.token || "").toUpperCase() === "SOL"
+        ? resolveSolFeeReserve()
+        : 0;
+    const spendable = balance - reserve;
+    if (spendable <= 0) {
+      return {
+        mode: sizing.mode,
+        amount: 0,
+        reason: `balance ${formatAmount(balance)} is within the ${formatAmount(
+          reserve
+        )} SOL fee reserve`,
+      };
+    }
+    const amount = (spendable * sizing.balancePercent) / 100;
+    return {
+      mode: sizing.mode,
+      amount,
+      reason: `${sizing.balancePercent}% of balance ${formatAmount(balance)}${
+        reserve ? ` less ${formatAmount(reserve)} SOL fee reserve` : ""
+      }`,
+    };
+  }
+  if (sizing.mode === SIZING_MODES.MARKET_CAP_TIERS) {
+    const cap = Number(marketCap);
+    if (!Number.isFinite(cap) || cap <= 0) {
+      return { mode: sizing.mode, amount: 0, reason: "market cap unknown" };
+    }
+    let tier = null;
+    for (const candidate of sizing.tiers) {
+      if (cap >= candidate.minMarketCap) tier = candidate;
+    }
+    if (!tier) {
+      return {
+        mode: sizing.mode,
+        amount: 0,
+        reason: `no tier for market cap ${Math.round(cap)}`,
+      };
+    }
+    return {
+      mode: sizing.mode,
+      amount: tier.amount,
+      reason: `market cap ${Math.round(cap)} ≥ tier ${tier.minMarketCap}`,
+    };
+  }
+  return {
+    mode: sizing.mode,
+    amount: sizing.amount,
+    reason: `fixed ${formatAmount(sizing.amount)}`,
+  };
+}
@@ -0,0 +1,42 @@
+// Price-impact caps: `maxPriceImpactPercent` for automated swaps and
+// `maxManualPriceImpactPercent` for swaps started from the bot. 0 or unset
+// means no cap.
+
+export const SLIPPAGE_CHOICES_BPS = Object.freeze([50, 100, 300, 500, 1000]);
+
+function readCap(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+export function resolvePriceImpactCaps(settings = {}) {
+  return {
+    auto: readCap(settings?.maxPriceImpactPercent),
+    manual: readCap(settings?.maxManualPriceImpactPercent),
+  };
+}
+
+/** Jupiter reports `priceImpactPct` as a fraction ("0.0123" = 1.23%). */
+export function getQuotePriceImpactPercent(quote) {
+  const raw = quote?.priceImpactPct;
+  if (raw == null || raw === "") return null;
+  const n = Number(raw);
+  return Number.isFinite(n) ? Math.abs(n) * 100 : null;
+}
+
+/** Null when the quote is within the cap, otherwise why it is not. */
+export function checkPriceImpact(quote, capPercent) {
+  const cap = readCap(capPercent);
+  if (cap == null) return null;
+  const impactPercent = getQuotePriceImpactPercent(quote);
+  if (impactPercent == null || impactPercent <= cap) return null;
+  return {
+    impactPercent,
+    capPercent: cap,
+    reason: `price impact ${impactPercent.toFixed(2)}% is over the ${cap}% cap`,
+  };
+}
+
+export function formatSlippageBps(bps) {
+  return `${(Number(bps) / 100).toFixed(2).replace(/\.?0+$/, "")}%`;
+}
@@ -0,0 +1,413 @@
+// Offline signal replay / backtest.
+//
+//   node replay.mjs --input <telegram-export.json|signal-journal.jsonl> \
+//     --prices <prices.json> [--settings ./data/settings.json] \
+//     [--parser newTrending] [--out report.json]
+//
+// Messages go through the same parser, dedup/cooldown and exit rules the
+// trading engine uses; fills are simulated against the price series instead
+// of touching the chain. Prices are quoted in the base token (`settings.token`)
+// and keyed by mint or ticker:
+//   { "<mint>|<TICKER>": [[timestamp, price], { "t": "...", "price": 1, "marketCap": 2 }] }
+import fs from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { pathToFileURL } from "node:url";
+import {
+  BUILTIN_PARSERS,
+  parseSignal,
+  resolveConfiguredParser,
+} from "./signalParsers.mjs";
+import {
+  createSignalGate,
+  getSignalKeys,
+  resolveSignalGateSettings,
+} from "./signalGate.mjs";
+import {
+  computeProfitPercent,
+  evaluateExit,
+  resolvePhantomSwapFeePercent,
+  updatePeakPrice,
+} from "./exitRules.mjs";
+import { readJournalFile, SIGNAL_REASONS } from "./signalJournal.mjs";
+
+const NO_PRICE_DATA = "no_price_data";
+
+function toTimestamp(value) {
+  if (value == null || value === "") return null;
+  if (typeof value === "number" || /^\d+$/.test(String(value))) {
+    const n = Number(value);
+    return n < 1e12 ? n * 1000 : n;
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// -----------------------------
+// Inputs
+// -----------------------------
+function flattenExportText(text) {
+  if (typeof text === "string") return { rawText: text, links: [] };
+  const links = [];
+  let rawText = "";
+  for (const part of Array.isArray(text) ? text : []) {
+    if (typeof part === "string") {
+      rawText += part;
+      continue;
+    }
+    rawText += part?.text || "";
+    if (part?.href) links.push(part.href);
+    if (part?.type === "link" && part.text) links.push(part.text);
+  }
+  return { rawText, links };
+}
+
+export function messagesFromTelegramExport(data) {
+  const id = data?.id != null ? String(data.id) : null;
+  const chatKeys = id ? [id, `-100${id}`] : [];
+  return (data?.messages || [])
+    .filter((m) => m?.type === "message")
+    .map((m) => ({
+      at: toTimestamp(m.date_unixtime) ?? toTimestamp(m.date),
+      chatKeys,
+      messageId: m.id ?? null,
+      ...flattenExportText(m.text),
+    }));
+}
+
+export function messagesFromJournal(entries) {
+  return (entries || []).map((entry) => ({
+    at: toTimestamp(entry.receivedAt),
+    chatKeys: entry.chat?.keys || (entry.chat?.id ? [entry.chat.id] : []),
+    messageId: entry.messageId ?? null,
+    rawText: entry.rawText || "",
+    links: [],
+  }));
+}
+
+export async function loadMessages(filePath) {
+  if (filePath.endsWith(".jsonl")) {
+    return messagesFromJournal(await readJournalFile(filePath));
+  }
+  const data = JSON.parse(await fs.readFile(filePath, "utf8"));
+  if (Array.isArray(data)) return messagesFromJournal(data);
+  return messagesFromTelegramExport(data);
+}
+
+function normalizeSeriesKey(key) {
+  const s = String(key || "").trim();
+  return s.length >= 32 ? s : s.replace(/^\$/, "").toUpperCase();
+}
+
+export function loadPriceSeries(data) {
+  const series = new Map();
+  for (const [key, points] of Object.entries(data || {})) {
+    const normalized = (Array.isArray(points) ? points : [])
+      .map((point) =>
+        Array.isArray(point)
+          ? { t: toTimestamp(point[0]), price: Number(point[1]) }
+          : {
+              t: toTimestamp(point?.t ?? point?.time ?? point?.timestamp),
+              price: Number(point?.price ?? point?.p),
+              marketCap:
+                point?.marketCap != null ? Number(point.marketCap) : null,
+            }
+      )
+      .filter((p) => p.t != null && Number.isFinite(p.price) && p.price > 0)
+      .sort((a, b) => a.t - b.t);
+    if (normalized.length) series.set(normalizeSeriesKey(key), normalized);
+  }
+  return series;
+}
+
+// -----------------------------
+// Simulation
+// -----------------------------
+/**
+ * Walks the series after entry through the engine's exit rules. Partial
+ * (ladder) exits shrink the simulated position like `handleSellPosition`.
+ */
+function simulateExits({ position, points, settings }) {
+  const entryPrice = position.costBaseAmount / position.amountUi;
+  const fills = [];
+  for (const point of points) {
+    updatePeakPrice(position, point.price, point.t);
+    const profitPercent = computeProfitPercent(entryPrice, point.price);
+    const exit = evaluateExit({
+      position,
+      profitPercent,
+      avgEntryPrice: entryPrice,
+      currentPrice: point.price,
+      settings,
+      now: point.t,
+    });
+    if (!exit) continue;
+    const share = exit.fraction > 0 && exit.fraction < 1 ? exit.fraction : 1;
+    fills.push({
+      point,
+      reason: exit.reason,
+      amountUi: position.amountUi * share,
+    });
+    if (share === 1) return { fills, closed: true };
+    position.amountUi *= 1 - share;
+    position.costBaseAmount *= 1 - share;
+    if (exit.ladderStepsFired) {
+      position.ladderStepsFired = exit.ladderStepsFired;
+      position.ladderSoldPercent =
+        Number(position.ladderSoldPercent || 0) +
+        Number(exit.ladderSellPercent || 0);
+    }
+  }
+  return { fills, closed: false };
+}
+
+/**
+ * Replays messages in time order and returns `{ trades, skips, summary }`.
+ * `parser` overrides the per-chat `signalChannels` mapping from settings.
+ */
+export function runReplay({ messages, prices, settings = {}, parser }) {
+  const gate = createSignalGate();
+  const { dedupWindowMs, cooldownMs } = resolveSignalGateSettings(settings);
+  const amount = Number(settings.amount);
+  const feePercent = resolvePhantomSwapFeePercent(settings);
+  const marketCapMinimum = Number(settings.marketCapMinimum) || 0;
+  const trades = [];
+  const skips = [];
+  // Cooldowns that start when a simulated position closes, applied once the
+  // replay clock reaches the exit.
+  let pendingCooldowns = [];
+  let ignored = 0;
+
+  const ordered = [...messages]
+    .filter((m) => m.at != null)
+    .sort((a, b) => a.at - b.at);
+
+  for (const message of ordered) {
+    pendingCooldowns = pendingCooldowns.filter((pending) => {
+      if (pending.at > message.at) return true;
+      gate.startCooldown(pending.keys, cooldownMs, pending.at);
+      return false;
+    });
+
+    const chatParser =
+      parser || resolveConfiguredParser(message.chatKeys, settings);
+    const signal = chatParser ? parseSignal(chatParser, message) : null;
+    if (!signal) {
+      ignored += 1;
+      continue;
+    }
+    const ticker = signal.ticker || signal.mint;
+    const skip = (reason, detail = null) =>
+      skips.push({
+        at: new Date(message.at).toISOString(),
+        messageId: message.messageId,
+        ticker,
+        reason,
+        detail,
+      });
+
+    if (!signal.ticker && !signal.mint) {
+      skip(SIGNAL_REASONS.NO_TICKER);
+      continue;
+    }
+    const keys = getSignalKeys(signal);
+    if (gate.isDuplicate(keys, message.at)) {
+      skip(SIGNAL_REASONS.DUPLICATE);
+      continue;
+    }
+    if (gate.getCooldownUntil(keys, message.at)) {
+      skip(SIGNAL_REASONS.COOLDOWN);
+      continue;
+    }
+    if (!amount || amount <= 0) {
+      skip(SIGNAL_REASONS.NOT_CONFIGURED);
+      continue;
+    }
+
+    const series =
+      (signal.mint && prices.get(signal.mint)) ||
+      (signal.ticker && prices.get(normalizeSeriesKey(signal.ticker)));
+    const entryIndex = series
+      ? series.findIndex((point) => point.t >= message.at)
+      : -1;
+    if (entryIndex < 0) {
+      skip(NO_PRICE_DATA);
+      continue;
+    }
+    const entry = series[entryIndex];
+    if (
+      marketCapMinimum > 0 &&
+      Number.isFinite(entry.marketCap) &&
+      entry.marketCap < marketCapMinimum
+    ) {
+      skip(SIGNAL_REASONS.MARKET_CAP, `market cap ${entry.marketCap}`);
+      continue;
+    }
+
+    const position = {
+      symbol: signal.ticker,
+      mint: signal.mint,
+      amountUi: amount / entry.price,
+      costBaseAmount: amount,
+      createdAt: new Date(entry.t).toISOString(),
+    };
+    gate.markSeen(keys, dedupWindowMs, message.at);
+    gate.startCooldown(keys, cooldownMs, entry.t);
+    updatePeakPrice(position, entry.price, entry.t);
+
+    const later = series.slice(entryIndex + 1);
+    const { fills, closed } = simulateExits({
+      position,
+      points: later,
+      settings,
+    });
+    const netOfFee = 1 - feePercent / 100;
+    const lastPoint = series[series.length - 1];
+    const exitPoint = closed ? fills[fills.length - 1].point : lastPoint;
+    let received = fills.reduce(
+      (acc, fill) => acc + fill.amountUi * fill.point.price * netOfFee,
+      0
+    );
+    if (!closed) {
+      // mark what is still held at the last known price
+      received += position.amountUi * lastPoint.price * netOfFee;
+    }
+    const profit = received - amount;
+    if (closed) pendingCooldowns.push({ keys, at: exitPoint.t });
+
+    trades.push({
+      ticker,
+      mint: signal.mint,
+      parser: signal.parser,
+      entryAt: position.createdAt,
+      entryPrice: entry.price,
+      exitAt: new Date(exitPoint.t).toISOString(),
+      exitPrice: exitPoint.price,
+      exitReason:
+        Array.from(new Set(fills.map((fill) => fill.reason))).join(", ") ||
+        null,
+      fills: fills.map((fill) => ({
+        at: new Date(fill.point.t).toISOString(),
+        price: fill.point.price,
+        amountUi: fill.amountUi,
+        reason: fill.reason,
+      })),
+      open: !closed,
+      cost: amount,
+      received,
+      profit,
+      profitPercent: (profit / amount) * 100,
+    });
+  }
+
+  const closed = trades.filter((t) => !t.open);
+  const open = trades.filter((t) => t.open);
+  const sum = (list, key) => list.reduce((acc, t) => acc + t[key], 0);
+  const invested = sum(closed, "cost");
+  const realized = sum(closed, "profit");
+  const skipReasons = {};
+  for (const s of skips) {
+    skipReasons[s.reason] = (skipReasons[s.reason] || 0) + 1;
+  }
+
+  return {
+    trades,
+    skips,
+    summary: {
+      messages: ordered.length,
+      ignored,
+      signals: trades.length + skips.length,
+      trades: trades.length,
+      closedTrades: closed.length,
+      openTrades: open.length,
+      wins: closed.filter((t) => t.profit > 0).length,
+      invested,
+      realizedProfit: realized,
+      realizedProfitPercent: invested > 0 ? (realized / invested) * 100 : 0,
+      unrealizedProfit: sum(open, "profit"),
+      skipReasons,
+    },
+  };
+}
+
+export function formatReport({ trades, summary }) {
+  const fmt = (n, digits = 4) =>
+    Number.isFinite(n) ? Number(n).toFixed(digits) : "?";
+  const lines = [
+    `Messages: ${summary.messages} (not signals: ${summary.ignored})`,
+    `Signals: ${summary.signals}, trades: ${summary.trades} (closed ${summary.closedTrades}, open ${summary.openTrades}, wins ${summary.wins})`,
+    `Realized PnL: ${fmt(summary.realizedProfit)} (${fmt(
+      summary.realizedProfitPercent,
+      2
+    )}%) on ${fmt(summary.invested)} invested`,
+    `Unrealized PnL (marked at last price): ${fmt(summary.unrealizedProfit)}`,
+    "",
+    "Trades:",
+  ];
+  for (const t of trades) {
+    lines.push(
+      `- ${t.entryAt} ${t.ticker}: ${fmt(t.entryPrice, 8)} -> ${fmt(
+        t.exitPrice,
+        8
+      )} ${
+        t.open
+          ? `(open${t.exitReason ? `, partial ${t.exitReason}` : ""})`
+          : `(${t.exitReason})`
+      } PnL ${fmt(t.profit)} (${fmt(t.profitPercent, 2)}%)`
+    );
+  }
+  const reasons = Object.entries(summary.skipReasons);
+  if (reasons.length) {
+    lines.push("", "Skipped:");
+    for (const [reason, count] of reasons) {
+      lines.push(`- ${reason}: ${count}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      input: { type: "string" },
+      prices: { type: "string" },
+      settings: { type: "string", default: "./data/settings.json" },
+      parser: { type: "string" },
+      out: { type: "string" },
+    },
+  });
+  if (!values.input || !values.prices) {
+    throw new Error(
+      "Usage: node replay.mjs --input <export.json|journal.jsonl> --prices <prices.json> [--settings <file>] [--parser <name>] [--out <report.json>]"
+    );
+  }
+  let parser = null;
+  if (values.parser) {
+    parser = BUILTIN_PARSERS[values.parser];
+    if (!parser) throw new Error(`Unknown signal parser "${values.parser}"`);
+  }
+  const [messages, priceData, settings] = await Promise.all([
+    loadMessages(values.input),
+    fs.readFile(values.prices, "utf8").then(JSON.parse),
+    fs.readFile(values.settings, "utf8").then(JSON.parse),
+  ]);
+  const report = runReplay({
+    messages,
+    prices: loadPriceSeries(priceData),
+    settings,
+    parser,
+  });
+  console.log(formatReport(report));
+  if (values.out) {
+    await fs.writeFile(values.out, JSON.stringify(report, null, 2));
+  }
+}
+
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  main().catch((err) => {
+    console.error(err.message || err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,148 @@
+const REALIZED_DAYS_KEPT = 31;
+
+export const RISK_TRIP_REASONS = Object.freeze({
+  DAILY_LOSS: "daily_loss",
+  CONSECUTIVE_LOSSES: "consecutive_losses",
+});
+
+export function utcDateKey(date = new Date()) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+export function resolveRiskLimits(settings) {
+  const dailyLossLimit = Number(settings?.dailyLossLimit || 0);
+  const maxConsecutiveLosses = Number(settings?.maxConsecutiveLosses || 0);
+  return {
+    dailyLossLimit:
+      Number.isFinite(dailyLossLimit) && dailyLossLimit > 0
+        ? dailyLossLimit
+        : 0,
+    maxConsecutiveLosses:
+      Number.isFinite(maxConsecutiveLosses) && maxConsecutiveLosses > 0
+        ? Math.floor(maxConsecutiveLosses)
+        : 0,
+  };
+}
+
+/**
+ * Adds a realized sell result to `summary.realizedByDay` (UTC days, base
+ * token units) and the running `summary.consecutiveLosses` counter.
+ */
+export function recordRealizedPnl(summary, profit, at = new Date()) {
+  if (!summary || !Number.isFinite(profit)) return;
+  const key = utcDateKey(at);
+  const byDay = { ...(summary.realizedByDay || {}) };
+  byDay[key] = Number(byDay[key] || 0) + profit;
+  const kept = Object.keys(byDay).sort().slice(-REALIZED_DAYS_KEPT);
+  summary.realizedByDay = Object.fromEntries(
+    kept.map((day) => [day, byDay[day]])
+  );
+  summary.consecutiveLosses =
+    profit < 0 ? Number(summary.consecutiveLosses || 0) + 1 : 0;
+}
+
+/** Today's realized PnL, counted from the last manual reset if there was one. */
+export function getDailyRealizedPnl(summary, now = new Date()) {
+  const today = utcDateKey(now);
+  const guard = summary?.riskGuard || {};
+  const baseline =
+    guard.resetDate === today ? Number(guard.dailyBaseline || 0) : 0;
+  return Number(summary?.realizedByDay?.[today] || 0) - baseline;
+}
+
+/** Returns the trip `{ reason, detail }` when a limit is hit, else null. */
+export function evaluateRiskTrip({ summary, settings, now = new Date() }) {
+  const { dailyLossLimit, maxConsecutiveLosses } = resolveRiskLimits(settings);
+  const dailyPnl = getDailyRealizedPnl(summary, now);
+  if (dailyLossLimit > 0 && dailyPnl <= -dailyLossLimit) {
+    return {
+      reason: RISK_TRIP_REASONS.DAILY_LOSS,
+      detail: `daily loss ${Math.abs(dailyPnl).toFixed(
+        4
+      )} reached the limit of ${dailyLossLimit}`,
+    };
+  }
+  const losses = Number(summary?.consecutiveLosses || 0);
+  if (maxConsecutiveLosses > 0 && losses >= maxConsecutiveLosses) {
+    return {
+      reason: RISK_TRIP_REASONS.CONSECUTIVE_LOSSES,
+      detail: `${losses} losing trades in a row (limit ${maxConsecutiveLosses})`,
+    };
+  }
+  return null;
+}
+
+/** A trip only lasts for the UTC day it happened on. */
+export function isTripExpired(guard, now = new Date()) {
+  return Boolean(guard?.tripped && guard.tripped.date !== utcDateKey(now));
+}
+
+function normalizeSymbol(symbol) {
+  return String(symbol || "")
+    .replace(/^\$/, "")
+    .toUpperCase();
+}
+
+export function resolveExposureLimits(settings) {
+  const read = (key) => {
+    const n = Number(settings?.[key] || 0);
+    return Number.isFinite(n) && n > 0 ? n : 0;
+  };
+  return {
+    maxOpenPositions: Math.floor(read("maxOpenPositions")),
+    maxTotalDeployed: read("maxTotalDeployed"),
+    maxCostPerMint: read("maxCostPerMint"),
+  };
+}
+
+/**
+ * Checks a buy of `amount` base tokens against the exposure caps. Returns the
+ * reason the buy would exceed one, or null when it fits. The cost caps are in
+ * units of the configured base token, so only positions bought with it count
+ * towards them.
+ */
+export function checkExposure({ positions, mint, symbol, amount, settings }) {
+  const limits = resolveExposureLimits(settings);
+  const open = Array.from(positions || []);
+  const wanted = normalizeSymbol(symbol);
+  const existing = open.find(
+    (position) =>
+      (mint && position.mint === mint) ||
+      (wanted && normalizeSymbol(position.symbol) === wanted)
+  );
+  if (
+    limits.maxOpenPositions > 0 &&
+    !existing &&
+    open.length >= limits.maxOpenPositions
+  ) {
+    return `${open.length} open positions (max ${limits.maxOpenPositions})`;
+  }
+  const base = normalizeSymbol(settings?.token);
+  const costInBase = (position) =>
+    !position?.baseSymbol || normalizeSymbol(position.baseSymbol) === base
+      ? Number(position.costBaseAmount || 0)
+      : 0;
+  const deployed = open.reduce(
+    (sum, position) => sum + costInBase(position),
+    0
+  );
+  if (
+    limits.maxTotalDeployed > 0 &&
+    deployed + amount > limits.maxTotalDeployed
+  ) {
+    return `${deployed.toFixed(
+      4
+    )} deployed + ${amount} would exceed the total cap of ${
+      limits.maxTotalDeployed
+    }`;
+  }
+  const mintCost = existing ? costInBase(existing) : 0;
+  if (limits.maxCostPerMint > 0 && mintCost + amount > limits.maxCostPerMint) {
+    return `${mintCost.toFixed(
+      4
+    )} in this token + ${amount} would exceed the per-token cap of ${
+      limits.maxCostPerMint
+    }`;
+  }
+  return null;
+}
@@ -0,0 +1,89 @@
+import { SWAP_OUTCOMES } from "./features/swapWithJupiter.js";
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_SLIPPAGE_STEP_BPS = 100;
+const DEFAULT_MAX_SLIPPAGE_BPS = 1000;
+const DEFAULT_BACKOFF_SECONDS = 30;
+
+function positiveOr(value, fallback) {
+  const n = Number(value);
+  return value != null && value !== "" && Number.isFinite(n) && n > 0
+    ? n
+    : fallback;
+}
+
+/**
+ * Retry policy for failed automatic sells: `sellRetryMaxAttempts` before the
+ * position is parked for manual attention, slippage rising by
+ * `sellRetrySlippageStepBps` per failure up to `sellRetryMaxSlippageBps`, and
+ * a backoff starting at `sellRetryBackoffSeconds` that doubles each failure.
+ */
+export function resolveSellRetryPolicy(settings, { defaultSlippageBps } = {}) {
+  const maxSlippageBps = positiveOr(
+    settings?.sellRetryMaxSlippageBps,
+    DEFAULT_MAX_SLIPPAGE_BPS
+  );
+  return {
+    maxAttempts: Math.floor(
+      positiveOr(settings?.sellRetryMaxAttempts, DEFAULT_MAX_ATTEMPTS)
+    ),
+    baseSlippageBps: Math.min(
+      positiveOr(defaultSlippageBps, 50),
+      maxSlippageBps
+    ),
+    slippageStepBps: positiveOr(
+      settings?.sellRetrySlippageStepBps,
+      DEFAULT_SLIPPAGE_STEP_BPS
+    ),
+    maxSlippageBps,
+    backoffMs:
+      positiveOr(settings?.sellRetryBackoffSeconds, DEFAULT_BACKOFF_SECONDS) *
+      1000,
+  };
+}
+
+/** Slippage for the next attempt after `failedAttempts` failures. */
+export function getRetrySlippageBps(policy, failedAttempts = 0) {
+  return Math.min(
+    policy.baseSlippageBps + policy.slippageStepBps * failedAttempts,
+    policy.maxSlippageBps
+  );
+}
+
+export function isSellRetryDue(position, now = Date.now()) {
+  if (position?.needsAttention) return false;
+  const nextAt = Date.parse(position?.sellRetry?.nextAttemptAt || "");
+  return !Number.isFinite(nextAt) || now >= nextAt;
+}
+
+/**
+ * Records a failed attempt on the position. Returns true once the attempts
+ * are used up (or the sell may have landed) and the position needs manual
+ * attention.
+ */
+export function recordSellFailure(position, policy, error, now = Date.now()) {
+  const attempts = Number(position.sellRetry?.attempts || 0) + 1;
+  const lastError = String(error?.message || error || "unknown error");
+  const delay = policy.backoffMs * 2 ** (attempts - 1);
+  position.sellRetry = {
+    attempts,
+    lastError,
+    lastSlippageBps: getRetrySlippageBps(policy, attempts - 1),
+    nextAttemptAt: new Date(now + delay).toISOString(),
+  };
+  // A sell whose transaction may still have landed is parked at once rather
+  // than sent again.
+  const uncertain = error?.swapOutcome === SWAP_OUTCOMES.UNKNOWN;
+  if (attempts < policy.maxAttempts && !uncertain) return false;
+  position.needsAttention = {
+    at: new Date(now).toISOString(),
+    attempts,
+    lastError,
+  };
+  return true;
+}
+
+export function clearSellRetry(position) {
+  delete position.sellRetry;
+  delete position.needsAttention;
+}
@@ -0,0 +1,119 @@
+const DEFAULT_SIGNAL_DEDUP_WINDOW_MINUTES = 30;
+const DEFAULT_TOKEN_COOLDOWN_MINUTES = 0;
+
+function resolveMinutesSetting(settings, key, envName, fallback) {
+  const configured = Number(settings?.[key]);
+  if (
+    settings?.[key] != null &&
+    Number.isFinite(configured) &&
+    configured >= 0
+  ) {
+    return configured;
+  }
+  const fromEnv = Number(process.env[envName]);
+  if (process.env[envName] && Number.isFinite(fromEnv) && fromEnv >= 0) {
+    return fromEnv;
+  }
+  return fallback;
+}
+
+export function resolveSignalGateSettings(settings) {
+  return {
+    dedupWindowMs:
+      resolveMinutesSetting(
+        settings,
+        "signalDedupWindowMinutes",
+        "SIGNAL_DEDUP_WINDOW_MINUTES",
+        DEFAULT_SIGNAL_DEDUP_WINDOW_MINUTES
+      ) * 60_000,
+    cooldownMs:
+      resolveMinutesSetting(
+        settings,
+        "tokenCooldownMinutes",
+        "TOKEN_COOLDOWN_MINUTES",
+        DEFAULT_TOKEN_COOLDOWN_MINUTES
+      ) * 60_000,
+  };
+}
+
+export function getSignalKeys({ ticker, mint }) {
+  const keys = [];
+  if (mint) keys.push(`mint:${mint}`);
+  const symbol = String(ticker || "")
+    .replace(/^\$/, "")
+    .trim()
+    .toUpperCase();
+  if (symbol) keys.push(`ticker:${symbol}`);
+  return keys;
+}
+
+/**
+ * Dedup window and per-token cooldown bookkeeping. Every method takes the
+ * current time so the offline replay can drive it with message timestamps.
+ */
+export function createSignalGate() {
+  // Signal key -> time (ms) the dedup entry / cooldown expires.
+  const recentSignals = new Map();
+  const tokenCooldowns = new Map();
+
+  function pruneExpired(map, now) {
+    for (const [key, until] of map) {
+      if (until <= now) map.delete(key);
+    }
+  }
+
+  // Tickers are not unique on Solana, so a signal with a mint is only looked
+  // up by its mint. Both keys are still recorded, which makes a ticker-only
+  // repost of the same coin a duplicate.
+  function lookupKeys(keys) {
+    const mintKey = keys.find((key) => key.startsWith("mint:"));
+    return mintKey ? [mintKey] : keys;
+  }
+
+  function isDuplicate(keys, now = Date.now()) {
+    pruneExpired(recentSignals, now);
+    return lookupKeys(keys).some((key) => recentSignals.has(key));
+  }
+
+  /**
+   * Marks a signal as seen for the dedup window. Called once the signal has
+   * passed the other gates, so a transient rejection does not block a repost.
+   * Returns false when it was already marked, e.g. by a concurrent repost.
+   */
+  function markSeen(keys, windowMs, now = Date.now()) {
+    if (isDuplicate(keys, now)) return false;
+    if (windowMs > 0) {
+      for (const key of keys) recentSignals.set(key, now + windowMs);
+    }
+    return true;
+  }
+
+  function forgetSeen(keys) {
+    for (const key of keys) recentSignals.delete(key);
+  }
+
+  function getCooldownUntil(keys, now = Date.now()) {
+    pruneExpired(tokenCooldowns, now);
+    let until = 0;
+    for (const key of keys) {
+      until = Math.max(until, tokenCooldowns.get(key) || 0);
+    }
+    return until > now ? until : null;
+  }
+
+  function startCooldown(keys, cooldownMs, now = Date.now()) {
+    if (!(cooldownMs > 0)) return;
+    const until = now + cooldownMs;
+    for (const key of keys) {
+      tokenCooldowns.set(key, Math.max(tokenCooldowns.get(key) || 0, until));
+    }
+  }
+
+  return {
+    isDuplicate,
+    markSeen,
+    forgetSeen,
+    getCooldownUntil,
+    startCooldown,
+  };
+}
@@ -0,0 +1,101 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import {
+  insertSignalJournalEntry,
+  loadSignalJournal,
+  mongoIsActive,
+} from "./mongoClient.mjs";
+
+const JOURNAL_FILE =
+  process.env.SIGNAL_JOURNAL_FILE || "./data/signal-journal.jsonl";
+
+export const SIGNAL_DECISIONS = Object.freeze({
+  ACCEPTED: "accepted",
+  REJECTED: "rejected",
+});
+
+export const SIGNAL_REASONS = Object.freeze({
+  BOUGHT: "bought",
+  NO_TICKER: "no_ticker",
+  NOT_CONFIGURED: "not_configured",
+  DUPLICATE: "duplicate",
+  COOLDOWN: "cooldown",
+  RISK_GUARD: "risk_guard",
+  BUYS_HALTED: "buys_halted",
+  EXPOSURE: "exposure",
+  SIZING: "sizing",
+  PRICE_IMPACT: "price_impact",
+  TOKEN_SAFETY: "token_safety",
+  MARKET_CAP: "market_cap",
+  SWAP_SKIPPED: "swap_skipped",
+  SWAP_TIMEOUT: "swap_timeout",
+  SWAP_ERROR: "swap_error",
+});
+
+async function ensureDir(filePath) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+}
+
+async function appendToFile(entry) {
+  await ensureDir(JOURNAL_FILE);
+  await fs.appendFile(JOURNAL_FILE, JSON.stringify(entry) + "\n");
+}
+
+export async function readJournalFile(filePath = JOURNAL_FILE) {
+  try {
+    const raw = await fs.readFile(filePath, "utf8");
+    const entries = [];
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // skip a torn line from an interrupted write
+      }
+    }
+    return entries;
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+}
+
+/**
+ * Stores one received signal with the engine's decision. Goes to Mongo when
+ * it is active and to the local JSONL journal otherwise; never throws.
+ */
+export async function recordSignal(entry) {
+  if (!entry || typeof entry !== "object") return;
+  const doc = {
+    receivedAt: new Date().toISOString(),
+    chat: null,
+    messageId: null,
+    rawText: "",
+    parser: null,
+    parsed: null,
+    decision: null,
+    reason: null,
+    detail: null,
+    tradeId: null,
+    ...entry,
+  };
+  try {
+    if (mongoIsActive()) {
+      const res = await insertSignalJournalEntry(doc);
+      if (res) return;
+    }
+    await appendToFile(doc);
+  } catch (err) {
+    console.error("Failed to record signal journal entry:", err);
+  }
+}
+
+export async function listRecentSignals(limit = 10) {
+  const n = Math.max(1, Number(limit) || 10);
+  if (mongoIsActive()) {
+    const docs = await loadSignalJournal({ limit: n });
+    if (docs) return docs;
+  }
+  const entries = await readJournalFile();
+  return entries.slice(-n).reverse();
+}
@@ -0,0 +1,260 @@
+import bs58 from "bs58";
+
+export function sanitize(text = "") {
+  return text
+    .replace(/https?:\/\/\S+/g, "")
+    .replace(/[\u200B-\u200D\uFEFF]/g, "")
+    .replace(/[\u00A0\u202F\u2009]/g, " ")
+    .normalize("NFKC");
+}
+
+function splitLines(text) {
+  return text
+    .split("\n")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+export function getHeaderLine(text) {
+  const lines = splitLines(text);
+  return lines[0] || "";
+}
+
+export function hasNewTrending(text) {
+  const lines = splitLines(text);
+  const head2 = (lines[0] || "") + " | " + (lines[1] || "");
+  return /new\s+trending/i.test(head2);
+}
+
+export function extractTickerFromDev(text) {
+  const lines = text.split("\n");
+  const devLine = lines.find((l) => /(^|[\s\W])dev\s*[:：]/i.test(l));
+  if (!devLine) return null;
+  const m = devLine.match(/\$[A-Z][A-Z0-9]{1,11}\b/);
+  return m ? m[0] : null;
+}
+
+export function extractTicker(text) {
+  const m = text.match(/\$[A-Z0-9]{2,12}\b/);
+  return m ? m[0] : null;
+}
+
+// -----------------------------
+// Mint addresses
+// -----------------------------
+const BASE58_RE = /\b[1-9A-HJ-NP-Za-km-z]{32,44}\b/g;
+const CA_LINE_RE = /\b(?:ca|contract|mint|address|token)\b\s*[:：]/i;
+const NON_MINT_LINE_RE = /\b(?:dev|deployer|creator|owner|wallet)\b/i;
+// Ordered by how reliably the path segment is a token mint (dexscreener
+// links often point at the pool instead).
+const MINT_LINK_PATTERNS = [
+  /solscan\.io\/token\/([1-9A-HJ-NP-Za-km-z]{32,44})/i,
+  /pump\.fun\/(?:coin\/)?([1-9A-HJ-NP-Za-km-z]{32,44})/i,
+  /birdeye\.so\/token\/([1-9A-HJ-NP-Za-km-z]{32,44})/i,
+  /gmgn\.ai\/sol\/token\/(?:[A-Za-z0-9]+_)?([1-9A-HJ-NP-Za-km-z]{32,44})/i,
+  /jup\.ag\/swap\/[^\s/]*?-([1-9A-HJ-NP-Za-km-z]{32,44})/i,
+  /dexscreener\.com\/solana\/([1-9A-HJ-NP-Za-km-z]{32,44})/i,
+];
+
+export function isLikelyMint(value) {
+  if (typeof value !== "string" || !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(value))
+    return false;
+  try {
+    return bs58.decode(value).length === 32;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Mint candidates from a raw (unsanitized) message and its entity links,
+ * most trustworthy first: explicit "CA:" lines, known explorer links, then
+ * any other base58 address outside dev/wallet lines.
+ */
+export function extractMintCandidates(rawText = "", links = []) {
+  const out = [];
+  const push = (value) => {
+    if (isLikelyMint(value) && !out.includes(value)) out.push(value);
+  };
+  const lines = String(rawText).split("\n");
+
+  for (const line of lines) {
+    if (!CA_LINE_RE.test(line)) continue;
+    for (const m of line.replace(/https?:\/\/\S+/g, "").matchAll(BASE58_RE)) {
+      push(m[0]);
+    }
+  }
+
+  const urls = [
+    ...(String(rawText).match(/https?:\/\/\S+/g) || []),
+    ...(links || []).filter((link) => typeof link === "string"),
+  ];
+  for (const pattern of MINT_LINK_PATTERNS) {
+    for (const url of urls) {
+      const m = url.match(pattern);
+      if (m) push(m[1]);
+    }
+  }
+
+  for (const line of lines) {
+    if (NON_MINT_LINE_RE.test(line)) continue;
+    for (const m of line.replace(/https?:\/\/\S+/g, "").matchAll(BASE58_RE)) {
+      push(m[0]);
+    }
+  }
+
+  return out;
+}
+
+export function extractMint(rawText, links) {
+  return extractMintCandidates(rawText, links)[0] || null;
+}
+
+// -----------------------------
+// Built-in parsers
+// -----------------------------
+// A parser is `{ name, detect(input), parse(input) }`. `input` carries the
+// sanitized `text`, the untouched `rawText` and entity `links`; `parse` returns
+// `{ ticker, mint, confidence, extra }` or null when nothing tradable is found.
+
+export const newTrendingParser = Object.freeze({
+  name: "newTrending",
+  detect({ text }) {
+    return hasNewTrending(text);
+  },
+  parse({ text, rawText, links }) {
+    const fromDev = extractTickerFromDev(text);
+    const ticker = fromDev || extractTicker(text);
+    const mint = extractMint(rawText, links);
+    if (!ticker && !mint) return null;
+    return {
+      ticker,
+      mint,
+      confidence: mint ? 0.95 : fromDev ? 0.9 : 0.6,
+      extra: { tickerSource: fromDev ? "dev" : ticker ? "text" : null },
+    };
+  },
+});
+
+export const BUILTIN_PARSERS = Object.freeze({
+  [newTrendingParser.name]: newTrendingParser,
+});
+
+// -----------------------------
+// Chat keys
+// -----------------------------
+export function normalizeChatKey(value) {
+  if (value == null) return null;
+  const s = String(value)
+    .trim()
+    .replace(/^https?:\/\/t\.me\//i, "")
+    .replace(/^@/, "");
+  if (!s) return null;
+  if (/^-?\d+$/.test(s)) return s;
+  return s.split("/")[0].toLowerCase();
+}
+
+/** Every key a chat can be registered under: raw id, Bot API id and username. */
+export function getChatKeys(chat) {
+  const keys = [];
+  const id = chat?.id != null ? String(chat.id) : null;
+  if (id) {
+    keys.push(id);
+    if (!id.startsWith("-")) {
+      if (/Channel/.test(chat.className || "")) keys.push(`-100${id}`);
+      else if (/Chat/.test(chat.className || "")) keys.push(`-${id}`);
+    }
+  }
+  const username = normalizeChatKey(chat?.username);
+  if (username) keys.push(username);
+  return keys;
+}
+
+function resolveParserDefinition(parser) {
+  const resolved =
+    typeof parser === "string" ? BUILTIN_PARSERS[parser] : parser;
+  if (!resolved) {
+    throw new Error(`Unknown signal parser "${parser}"`);
+  }
+  if (
+    typeof resolved.detect !== "function" ||
+    typeof resolved.parse !== "function"
+  ) {
+    throw new Error("Signal parser must implement detect() and parse()");
+  }
+  return resolved;
+}
+
+// -----------------------------
+// Registry
+// -----------------------------
+export function createSignalParserRegistry(entries = {}) {
+  const byChat = new Map();
+
+  function register(chatKey, parser) {
+    const key = normalizeChatKey(chatKey);
+    if (!key) throw new Error("Chat id or username is required");
+    byChat.set(key, resolveParserDefinition(parser));
+  }
+
+  function unregister(chatKey) {
+    return byChat.delete(normalizeChatKey(chatKey));
+  }
+
+  function resolve(chatKeys) {
+    for (const key of chatKeys || []) {
+      const parser = byChat.get(normalizeChatKey(key));
+      if (parser) return parser;
+    }
+    return null;
+  }
+
+  function list() {
+    return Array.from(byChat.entries()).map(([chatKey, parser]) => ({
+      chatKey,
+      parser: parser.name || "custom",
+    }));
+  }
+
+  for (const [chatKey, parser] of Object.entries(entries || {})) {
+    register(chatKey, parser);
+  }
+
+  return { register, unregister, resolve, list };
+}
+
+/** Parser for a chat from the `signalChannels` settings map (key -> name). */
+export function resolveConfiguredParser(chatKeys, settings) {
+  const channels = settings?.signalChannels;
+  if (!channels || typeof channels !== "object") return null;
+  const wanted = new Set(chatKeys.map((key) => normalizeChatKey(key)));
+  for (const [chatKey, parserName] of Object.entries(channels)) {
+    if (wanted.has(normalizeChatKey(chatKey))) {
+      return BUILTIN_PARSERS[parserName] || null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Runs a message through a parser. Returns null when the parser does not
+ * detect a signal; a detected signal it could not extract a ticker or mint
+ * from comes back with both set to null.
+ */
+export function parseSignal(parser, { rawText = "", links = [] } = {}) {
+  if (!parser) return null;
+  const text = sanitize(rawText);
+  if (!text) return null;
+  const input = { text, rawText, links };
+  if (!parser.detect(input)) return null;
+  const result = parser.parse(input) || {};
+  const confidence = Number(result.confidence);
+  return {
+    parser: parser.name || "custom",
+    ticker: result.ticker || null,
+    mint: result.mint || null,
+    confidence: Number.isFinite(confidence) ? confidence : null,
+    extra: result.extra && typeof result.extra === "object" ? result.extra : {},
+    header: getHeaderLine(text),
+  };
+}
@@ -1,5 +1,12 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { parseTakeProfitLadder } from "./exitRules.mjs";
+import {
+  normalizeSizingMode,
+  parseMarketCapTiers,
+} from "./positionSizing.mjs";
+import { parsePriorityFeeStrategy } from "./features/priorityFees.js";
+import { normalizeSafetyAction } from "./features/tokenSafety.js";
 
 export class Store {
   constructor(
@@ -98,6 +105,327 @@ export class Store {
     return this.enqueue(next);
   }
 
+  async setStopLossPercent(value) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0)
+      throw new Error("stopLossPercent must be a non-negative number");
+    const current = await this.getAll();
+    const next = { ...current, stopLossPercent: n };
+    return this.enqueue(next);
+  }
+
+  async setTrailingStopPercent(value) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0 || n >= 100)
+      throw new Error("trailingStopPercent must be between 0 and 100");
+    const current = await this.getAll();
+    const next = { ...current, trailingStopPercent: n };
+    return this.enqueue(next);
+  }
+
+  async setTrailingActivationPercent(value) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0)
+      throw new Error(
+        "trailingActivationPercent must be a non-negative number"
+      );
+    const current = await this.getAll();
+    const next = { ...current, trailingActivationPercent: n };
+    return this.enqueue(next);
+  }
+
+  async setTakeProfitLadder(value) {
+    const takeProfitLadder = parseTakeProfitLadder(value);
+    const current = await this.getAll();
+    const next = { ...current, takeProfitLadder };
+    return this.enqueue(next);
+  }
+
+  async setMaxHoldMinutes(value) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0)
+      throw new Error("maxHoldMinutes must be a non-negative number");
+    const current = await this.getAll();
+    const next = { ...current, maxHoldMinutes: n };
+    return this.enqueue(next);
+  }
+
+  // PnL band bounds may be negative; "off" removes the bound.
+  async setMaxHoldPnlBandMinPercent(value) {
+    return this.setOptionalPercent("maxHoldPnlBandMinPercent", value);
+  }
+
+  async setMaxHoldPnlBandMaxPercent(value) {
+    return this.setOptionalPercent("maxHoldPnlBandMaxPercent", value);
+  }
+
+  async setOptionalPercent(key, value) {
+    const off = value == null || String(value).trim() === "off";
+    const n = off ? null : Number(value);
+    if (!off && !Number.isFinite(n))
+      throw new Error(`${key} must be a number or "off"`);
+    const current = await this.getAll();
+    const next = { ...current, [key]: n };
+    return this.enqueue(next);
+  }
+
+  async setSignalDedupWindowMinutes(value) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0)
+      throw new Error("signalDedupWindowMinutes must be a non-negative number");
+    const current = await this.getAll();
+    const next = { ...current, signalDedupWindowMinutes: n };
+    return this.enqueue(next);
+  }
+
+  async setTokenCooldownMinutes(value) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0)
+      throw new Error("tokenCooldownMinutes must be a non-negative number");
+    const current = await this.getAll();
+    const next = { ...current, tokenCooldownMinutes: n };
+    return this.enqueue(next);
+  }
+
+  async setDailyLossLimit(value) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0)
+      throw new Error("dailyLossLimit must be a non-negative number");
+    const current = await this.getAll();
+    const next = { ...current, dailyLossLimit: n };
+    return this.enqueue(next);
+  }
+
+  async setMaxConsecutiveLosses(value) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0)
+      throw new Error("maxConsecutiveLosses must be a non-negative integer");
+    const current = await this.getAll();
+    const next = { ...current, maxConsecutiveLosses: n };
+    return this.enqueue(next);
+  }
+
+  async setEmergencyPriceDropPercent(value) {
+    return this.setDropPercent("emergencyPriceDropPercent", value);
+  }
+
+  async setEmergencyLiquidityDropPercent(value) {
+    return this.setDropPercent("emergencyLiquidityDropPercent", value);
+  }
+
+  async setMaxPriceImpactPercent(value) {
+    return this.setPriceImpactCap("maxPriceImpactPercent", value);
+  }
+
+  async setMaxManualPriceImpactPercent(value) {
+    return this.setPriceImpactCap("maxManualPriceImpactPercent", value);
+  }
+
+  // 0 or "off" removes the cap.
+  async setPriceImpactCap(key, value) {
+    const text = String(value ?? "").trim();
+    const n = text === "off" ? 0 : text ? Number(text) : NaN;
+    if (!Number.isFinite(n) || n < 0 || n > 100)
+      throw new Error(`${key} must be a percent up to 100, 0 or "off"`);
+    const current = await this.getAll();
+    const next = { ...current, [key]: n };
+    return this.enqueue(next);
+  }
+
+  async setSafetyMintAuthority(value) {
+    return this.setSafetyAction("safetyMintAuthority", value);
+  }
+
+  async setSafetyFreezeAuthority(value) {
+    return this.setSafetyAction("safetyFreezeAuthority", value);
+  }
+
+  async setSafetyTopHolders(value) {
+    return this.setSafetyAction("safetyTopHolders", value);
+  }
+
+  async setSafetyAction(key, value) {
+    const action = normalizeSafetyAction(value);
+    const current = await this.getAll();
+    const next = { ...current, [key]: action };
+    return this.enqueue(next);
+  }
+
+  async setSafetyTopHoldersPercent(value) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0 || n > 100)
+      throw new Error("safetyTopHoldersPercent must be above 0 and up to 100");
+    const current = await this.getAll();
+    const next = { ...current, safetyTopHoldersPercent: n };
+    return this.enqueue(next);
+  }
+
+  async setSafetyTopHoldersCount(value) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1 || n > 20)
+      throw new Error("safetyTopHoldersCount must be between 1 and 20");
+    const current = await this.getAll();
+    const next = { ...current, safetyTopHoldersCount: n };
+    return this.enqueue(next);
+  }
+
+  async setDropPercent(key, value) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0 || n > 100)
+      throw new Error(`${key} must be between 0 and 100`);
+    const current = await this.getAll();
+    const next = { ...current, [key]: n };
+    return this.enqueue(next);
+  }
+
+  async setEmergencySlippageBps(value) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n <= 0 || n > 10_000)
+      throw new Error("emergencySlippageBps must be between 1 and 10000");
+    const current = await this.getAll();
+    const next = { ...current, emergencySlippageBps: n };
+    return this.enqueue(next);
+  }
+
+  async setSellRetryMaxAttempts(value) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1)
+      throw new Error("sellRetryMaxAttempts must be a positive integer");
+    const current = await this.getAll();
+    const next = { ...current, sellRetryMaxAttempts: n };
+    return this.enqueue(next);
+  }
+
+  async setSellRetrySlippageStepBps(value) {
+    return this.setPositiveNumber("sellRetrySlippageStepBps", value);
+  }
+
+  async setSellRetryMaxSlippageBps(value) {
+    return this.setPositiveNumber("sellRetryMaxSlippageBps", value);
+  }
+
+  async setSellRetryBackoffSeconds(value) {
+    return this.setPositiveNumber("sellRetryBackoffSeconds", value);
+  }
+
+  async setPositiveNumber(key, value) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0)
+      throw new Error(`${key} must be a positive number`);
+    const current = await this.getAll();
+    const next = { ...current, [key]: n };
+    return this.enqueue(next);
+  }
+
+  async setPaperTrading(value) {
+    const raw = String(value).trim().toLowerCase();
+    if (!["true", "false", "on", "off"].includes(raw))
+      throw new Error('paperTrading must be "on" or "off"');
+    const current = await this.getAll();
+    const next = { ...current, paperTrading: raw === "true" || raw === "on" };
+    return this.enqueue(next);
+  }
+
+  async setPaperStartingBalance(value) {
+    return this.setPositiveNumber("paperStartingBalance", value);
+  }
+
+  async setQuoteExitPricing(value) {
+    const raw = String(value).trim().toLowerCase();
+    if (!["true", "false", "on", "off"].includes(raw))
+      throw new Error('quoteExitPricing must be "on" or "off"');
+    const current = await this.getAll();
+    const next = {
+      ...current,
+      quoteExitPricing: raw === "true" || raw === "on",
+    };
+    return this.enqueue(next);
+  }
+
+  async setMaxOpenPositions(value) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0)
+      throw new Error("maxOpenPositions must be a non-negative integer");
+    const current = await this.getAll();
+    const next = { ...current, maxOpenPositions: n };
+    return this.enqueue(next);
+  }
+
+  async setMaxTotalDeployed(value) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0)
+      throw new Error("maxTotalDeployed must be a non-negative number");
+    const current = await this.getAll();
+    const next = { ...current, maxTotalDeployed: n };
+    return this.enqueue(next);
+  }
+
+  async setMaxCostPerMint(value) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0)
+      throw new Error("maxCostPerMint must be a non-negative number");
+    const current = await this.getAll();
+    const next = { ...current, maxCostPerMint: n };
+    return this.enqueue(next);
+  }
+
+  async setSizingMode(value) {
+    const sizingMode = normalizeSizingMode(value);
+    const current = await this.getAll();
+    const next = { ...current, sizingMode };
+    return this.enqueue(next);
+  }
+
+  async setSizingBalancePercent(value) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0 || n > 100)
+      throw new Error("sizingBalancePercent must be between 0 and 100");
+    const current = await this.getAll();
+    const next = { ...current, sizingBalancePercent: n };
+    return this.enqueue(next);
+  }
+
+  async setSizingMarketCapTiers(value) {
+    const sizingMarketCapTiers = parseMarketCapTiers(value);
+    const current = await this.getAll();
+    const next = { ...current, sizingMarketCapTiers };
+    return this.enqueue(next);
+  }
+
+  async setBuyPriorityFee(value) {
+    return this.setPriorityFee("buyPriorityFee", value);
+  }
+
+  async setSellPriorityFee(value) {
+    return this.setPriorityFee("sellPriorityFee", value);
+  }
+
+  // Kept as the strategy string ("level:high", "fixed:50000", ...) so /get
+  // shows what was typed; null means Jupiter's default.
+  async setPriorityFee(key, value) {
+    const strategy = parsePriorityFeeStrategy(value);
+    const current = await this.getAll();
+    const next = {
+      ...current,
+      [key]: strategy ? String(value).trim() : null,
+    };
+    return this.enqueue(next);
+  }
+
+  async setSignalChannel(chatKey, parserName) {
+    const key = String(chatKey || "").trim();
+    if (!key) throw new Error("chat id or username is required");
+    const current = await this.getAll();
+    const signalChannels = { ...(current.signalChannels || {}) };
+    if (parserName) {
+      signalChannels[key] = String(parserName).trim();
+    } else {
+      delete signalChannels[key];
+    }
+    const next = { ...current, signalChannels };
+    return this.enqueue(next);
+  }
+
   enqueue(payload) {
     this.queue = this.queue.then(() => this.save(payload));
     return this.queue;
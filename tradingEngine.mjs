@@ -8,12 +8,85 @@ import {
   fetchWalletTokens,
   getSwapQuote,
   executeSwapQuote,
+  getDefaultSlippageBps,
+  SWAP_OUTCOMES,
 } from "./features/swapWithJupiter.js";
+import { resolvePriorityFeeSettings } from "./features/priorityFees.js";
+import { rawToNumber, scaleRawAmount } from "./features/decimalAmount.js";
+import { checkPriceImpact, resolvePriceImpactCaps } from "./priceImpact.mjs";
+import {
+  formatTokenSafetyLines,
+  resolveTokenSafetySettings,
+} from "./features/tokenSafety.js";
 import {
   loadTradingState,
   saveTradingState,
   mongoIsActive,
 } from "./mongoClient.mjs";
+import {
+  BUILTIN_PARSERS,
+  createSignalParserRegistry,
+  getChatKeys,
+  parseSignal,
+  resolveConfiguredParser,
+} from "./signalParsers.mjs";
+import {
+  createSignalGate,
+  getSignalKeys,
+  resolveSignalGateSettings,
+} from "./signalGate.mjs";
+import {
+  computeQuoteExitMetrics,
+  describeExitTargets,
+  evaluateEmergencyExit,
+  evaluateExit,
+  evaluateMaxHoldAge,
+  EXIT_REASONS,
+  hasActiveExitRules,
+  updatePeakPrice,
+  updateTickSnapshot,
+} from "./exitRules.mjs";
+import {
+  checkExposure,
+  evaluateRiskTrip,
+  getDailyRealizedPnl,
+  isTripExpired,
+  recordRealizedPnl,
+  resolveRiskLimits,
+  utcDateKey,
+} from "./riskGuard.mjs";
+import {
+  computePositionSize,
+  needsBaseBalance,
+  needsMarketCap,
+  resolveSizingSettings,
+  SIZING_MODES,
+} from "./positionSizing.mjs";
+import {
+  diffPositionsWithWallet,
+  formatReconcileReport,
+  hasReconcileDifferences,
+} from "./positionReconcile.mjs";
+import {
+  clearSellRetry,
+  getRetrySlippageBps,
+  isSellRetryDue,
+  recordSellFailure,
+  resolveSellRetryPolicy,
+} from "./sellRetry.mjs";
+import {
+  applyPaperBuy,
+  applyPaperSell,
+  createPaperWallet,
+  listPaperBalances,
+  PAPER_NAMESPACE,
+  resolvePaperMode,
+} from "./paperTrading.mjs";
+import {
+  recordSignal,
+  SIGNAL_DECISIONS,
+  SIGNAL_REASONS,
+} from "./signalJournal.mjs";
 
 const apiId = Number(process.env.API_ID);
 const apiHash = process.env.API_HASH;
@@ -23,7 +96,6 @@ const outboundChat = process.env.TELEGRAM_CHAT_ID || "";
 const monitorIntervalMs =
   Number(process.env.TRADING_MONITOR_INTERVAL_MS) || 60_000;
 
-const DEFAULT_PHANTOM_SWAP_FEE_PERCENT = 0.85;
 const MAX_SWAP_TIMEOUT_RETRIES = 3;
 const TIMEOUT_ERROR_CODES = new Set([
   "ETIMEDOUT",
@@ -53,8 +125,14 @@ function looksLikeTimeoutText(value) {
   );
 }
 
+/**
+ * True when a failed swap is safe to resend. Once a transaction was sent only
+ * an expired blockhash proves it can never land; before that, request
+ * timeouts mean nothing was signed or sent.
+ */
 function swapResultIndicatesTimeout(result) {
   if (!result || typeof result !== "object") return false;
+  if (result.swapOutcome) return result.swapOutcome === SWAP_OUTCOMES.EXPIRED;
   const code = String(result.errorCode || result.code || "").toUpperCase();
   if (code && TIMEOUT_ERROR_CODES.has(code)) {
     return true;
@@ -75,18 +153,6 @@ function swapResultIndicatesTimeout(result) {
   return false;
 }
 
-function resolvePhantomSwapFeePercent(settings) {
-  const configured = Number(settings?.phantomSwapFeePercent);
-  if (Number.isFinite(configured) && configured >= 0) {
-    return configured;
-  }
-  const fromEnv = Number(process.env.PHANTOM_SWAP_FEE_PERCENT);
-  if (Number.isFinite(fromEnv) && fromEnv >= 0) {
-    return fromEnv;
-  }
-  return DEFAULT_PHANTOM_SWAP_FEE_PERCENT;
-}
-
 function getTokenPriceUsd(token) {
   if (!token) return null;
   const price = Number(token.priceUsdt);
@@ -94,7 +160,7 @@ function getTokenPriceUsd(token) {
     return price;
   }
   const value = Number(token.valueUsdt);
-  const amount = Number(token.uiAmount);
+  const amount = Number(token.sellableUiAmount ?? token.uiAmount);
   if (
     Number.isFinite(value) &&
     Number.isFinite(amount) &&
@@ -118,6 +184,14 @@ function getWalletAmount(token, position) {
   return null;
 }
 
+/** Scales an amount by the share a Token-2022 transfer fee leaves over. */
+function netOfTransferFee(amountUi, token) {
+  const gross = Number(token?.uiAmount);
+  const net = Number(token?.sellableUiAmount);
+  if (!(gross > 0) || !Number.isFinite(net)) return amountUi;
+  return amountUi * (net / gross);
+}
+
 function getAverageEntryPrice(position) {
   const cost = Number(position?.costBaseAmount ?? position?.costUsd ?? 0);
   const amount = Number(position?.amountUi);
@@ -126,48 +200,6 @@ function getAverageEntryPrice(position) {
   return cost / amount;
 }
 
-function sanitize(text = "") {
-  return text
-    .replace(/https?:\/\/\S+/g, "")
-    .replace(/[\u200B-\u200D\uFEFF]/g, "")
-    .replace(/[\u00A0\u202F\u2009]/g, " ")
-    .normalize("NFKC");
-}
-
-function getText(message) {
-  return sanitize(message?.message || "");
-}
-
-function getHeaderLine(text) {
-  const lines = text
-    .split("\n")
-    .map((s) => s.trim())
-    .filter(Boolean);
-  return lines[0] || "";
-}
-
-function hasNewTrending(text) {
-  const lines = text
-    .split("\n")
-    .map((s) => s.trim())
-    .filter(Boolean);
-  const head2 = (lines[0] || "") + " | " + (lines[1] || "");
-  return /new\s+trending/i.test(head2);
-}
-
-function extractTickerFromDev(text) {
-  const lines = text.split("\n");
-  const devLine = lines.find((l) => /(^|[\s\W])dev\s*[:：]/i.test(l));
-  if (!devLine) return null;
-  const m = devLine.match(/\$[A-Z][A-Z0-9]{1,11}\b/);
-  return m ? m[0] : null;
-}
-
-function extractTicker(text) {
-  const m = text.match(/\$[A-Z0-9]{2,12}\b/);
-  return m ? m[0] : null;
-}
-
 function parseTMeLink(raw) {
   const s = String(raw || "").trim();
   if (!s) return null;
@@ -233,6 +265,21 @@ const DEFAULT_SUMMARY = Object.freeze({
 
 const MAX_HISTORY = 100;
 
+const BACKOFF_EXEMPT_EXITS = new Set([
+  EXIT_REASONS.STOP_LOSS,
+  EXIT_REASONS.EMERGENCY,
+]);
+
+// A take-profit refused for price impact is re-checked every tick; the user
+// hears about it at most this often.
+const IMPACT_REFUSAL_NOTICE_MS = 30 * 60_000;
+
+const PRICE_IMPACT_CAPPED_EXITS = new Set([
+  EXIT_REASONS.TAKE_PROFIT,
+  EXIT_REASONS.TAKE_PROFIT_LADDER,
+  EXIT_REASONS.TRAILING_STOP,
+]);
+
 function toSafeNumber(value) {
   const num = Number(value);
   return Number.isFinite(num) ? num : null;
@@ -267,9 +314,35 @@ function mergePosition(existing, patch) {
   if (patch.targetProfitPercent != null) {
     next.targetProfitPercent = Number(patch.targetProfitPercent) || 0;
   }
+  if (patch.resolvedBy) next.resolvedBy = patch.resolvedBy;
+  if (patch.tokenProgram) next.tokenProgram = patch.tokenProgram;
+  if (patch.safety) next.safety = patch.safety;
+  if (patch.decimals != null) next.decimals = patch.decimals;
+  if (next.decimals != null && next.amountRaw) {
+    next.amountUi = rawToNumber(next.amountRaw, next.decimals);
+  }
+  // The raw cost is only exact while every buy into the position had one.
+  if (patch.costBaseRaw != null && existing.costBaseRaw != null) {
+    next.costBaseRaw = (
+      BigInt(existing.costBaseRaw) + BigInt(patch.costBaseRaw)
+    ).toString();
+    if (next.baseDecimals != null) {
+      next.costBaseAmount = rawToNumber(next.costBaseRaw, next.baseDecimals);
+      next.costUsd = next.costBaseAmount;
+    }
+  } else {
+    delete next.costBaseRaw;
+  }
   return next;
 }
 
+const FRACTION_SCALE = 1_000_000;
+
+function takeRawFraction(rawAmount, fraction) {
+  const scaled = Math.round(fraction * FRACTION_SCALE);
+  return scaleRawAmount(rawAmount, scaled, FRACTION_SCALE);
+}
+
 function createSummaryFromDoc(doc) {
   if (!doc || typeof doc !== "object") return { ...DEFAULT_SUMMARY };
   const base = { ...DEFAULT_SUMMARY };
@@ -285,7 +358,12 @@ function createSummaryFromDoc(doc) {
   };
 }
 
-export function createTradingEngine({ store, notifier, logger } = {}) {
+export function createTradingEngine({
+  store,
+  notifier,
+  logger,
+  parsers,
+} = {}) {
   const safeStore = store || {
     async getAll() {
       return {};
@@ -293,9 +371,12 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
   };
   const log = logger && typeof logger.log === "function" ? logger : console;
   const notifyInterface = notifier || null;
+  const parserRegistry = parsers || createSignalParserRegistry();
 
   let client = null;
   let running = false;
+  // Fixed for the lifetime of a run; switching needs a restart.
+  let paperMode = false;
   let monitorTimer = null;
   let monitorPromise = null;
   let handler = null;
@@ -306,6 +387,16 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
   let summary = { ...DEFAULT_SUMMARY };
 
   const notifyChatIds = new Set();
+  const signalGate = createSignalGate();
+  const sellsInFlight = new Set();
+  // Mint -> when a price-impact refusal was last announced.
+  const impactRefusalNotices = new Map();
+
+  async function startTokenCooldown(keys) {
+    const settings = await safeStore.getAll();
+    const { cooldownMs } = resolveSignalGateSettings(settings);
+    signalGate.startCooldown(keys, cooldownMs);
+  }
 
   function addHistory(event) {
     if (!event) return;
@@ -332,19 +423,50 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
         positions: Array.from(positions.values()),
         history,
         summary,
+        namespace: paperMode ? PAPER_NAMESPACE : null,
       });
     } catch (err) {
       log.error?.("Failed to persist trading state", err);
     }
   }
 
+  function markPaper(text) {
+    return paperMode ? `📝 PAPER\n${text}` : text;
+  }
+
+  function txLink(signature) {
+    return paperMode ? "paper fill" : `https://solscan.io/tx/${signature}`;
+  }
+
+  function getPaperWallet() {
+    if (!summary.paperWallet) summary.paperWallet = createPaperWallet({});
+    return summary.paperWallet;
+  }
+
+  /** Wallet tokens from the chain, or from the paper wallet in paper mode. */
+  function loadWalletTokens(vsToken) {
+    return fetchWalletTokens({
+      vsToken,
+      balances: paperMode ? listPaperBalances(getPaperWallet()) : undefined,
+    });
+  }
+
+  function paperShortfall(amount) {
+    if (!paperMode) return null;
+    const balance = Number(getPaperWallet().baseBalance || 0);
+    return amount > balance
+      ? `paper balance ${balance.toFixed(4)} is below ${amount}`
+      : null;
+  }
+
   async function notifyAll(message) {
     if (!message) return;
+    const text = markPaper(message);
     const tasks = [];
     for (const chatId of notifyChatIds) {
       if (notifyInterface?.sendMessage) {
         tasks.push(
-          notifyInterface.sendMessage(chatId, message).catch(() => undefined)
+          notifyInterface.sendMessage(chatId, text).catch(() => undefined)
         );
       }
     }
@@ -353,24 +475,87 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
     }
   }
 
+  function getRiskGuard() {
+    return summary.riskGuard || {};
+  }
+
+  async function tripRiskGuardIfNeeded() {
+    if (getRiskGuard().tripped) return;
+    const settings = await safeStore.getAll();
+    const trip = evaluateRiskTrip({ summary, settings });
+    if (!trip) return;
+    summary.riskGuard = {
+      ...getRiskGuard(),
+      tripped: { ...trip, at: new Date().toISOString(), date: utcDateKey() },
+    };
+    await persistState("risk:trip");
+    await notifyAll(
+      [
+        `⛔ Risk guard tripped: ${trip.detail}.`,
+        "New buys are paused until the next UTC day or /resetrisk.",
+      ].join("\n")
+    );
+  }
+
+  /** Clears a trip left over from a previous UTC day; returns the active one. */
+  async function refreshRiskGuard() {
+    const guard = getRiskGuard();
+    if (isTripExpired(guard)) {
+      summary.riskGuard = { ...guard, tripped: null };
+      summary.consecutiveLosses = 0;
+      await persistState("risk:expired");
+      await notifyAll("✅ Risk guard reset for the new UTC day. Buys resumed.");
+    }
+    return getRiskGuard().tripped || null;
+  }
+
+  async function readBaseBalance(baseSymbol) {
+    if (paperMode) return Number(getPaperWallet().baseBalance || 0);
+    try {
+      const tokens = await fetchWalletTokens({ vsToken: baseSymbol });
+      const wanted = String(baseSymbol || "").toUpperCase();
+      const match = tokens.find(
+        (t) => String(t.symbol || "").toUpperCase() === wanted
+      );
+      return match ? Number(match.uiAmount) : 0;
+    } catch (err) {
+      log.error?.("Failed to read base token balance", err);
+      return null;
+    }
+  }
+
   async function executeSwapWithTimeoutRetries({
     ticker,
+    mint,
     amount,
     token,
     marketCapMinimum,
+    sizeAmount,
+    checkQuote,
+    priorityFee,
+    safety,
   }) {
+    const label = ticker || mint;
     let result = null;
     for (let attempt = 1; attempt <= MAX_SWAP_TIMEOUT_RETRIES; attempt += 1) {
       result = await swapOneSolToCoinLiteral(
         ticker,
         amount,
         token,
-        marketCapMinimum
+        marketCapMinimum,
+        {
+          mint,
+          sizeAmount,
+          checkQuote,
+          priorityFee,
+          safety,
+          paper: paperMode,
+        }
       );
       if (!result) {
         result = {
           status: "error",
-          text: `Swap failed for ${ticker}`,
+          text: `Swap failed for ${label}`,
         };
       }
       if (result.status === "success" || result.status === "skipped") {
@@ -384,13 +569,13 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
         return { result, attempts: attempt, exhaustedTimeoutRetries: true };
       }
       log.warn?.(
-        `Swap attempt ${attempt} for ${ticker} timed out. Retrying attempt ${
+        `Swap attempt ${attempt} for ${label} timed out. Retrying attempt ${
           attempt + 1
         }...`
       );
     }
     return {
-      result: result || { status: "error", text: `Swap failed for ${ticker}` },
+      result: result || { status: "error", text: `Swap failed for ${label}` },
       attempts: MAX_SWAP_TIMEOUT_RETRIES,
       exhaustedTimeoutRetries: false,
     };
@@ -399,6 +584,7 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
   async function handleBuySuccess({
     ticker,
     swapResult,
+    sizing,
     header,
     chat,
     msg,
@@ -412,6 +598,15 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
     const settings = await safeStore.getAll();
     const targetProfitPercent = Number(settings?.profitTargetPercent || 0);
 
+    if (paperMode) {
+      applyPaperBuy(getPaperWallet(), {
+        mint,
+        rawAmount: amountRaw,
+        decimals: swapResult.purchasedDecimals,
+        spentUi: costBaseAmount,
+      });
+    }
+
     if (mint && amountRaw) {
       const existing = positions.get(mint);
       const next = mergePosition(existing, {
@@ -422,10 +617,15 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
         baseMint: swapResult.baseMint || settings?.tokenMint || null,
         baseSymbol: swapResult.baseSymbol || settings?.token || null,
         baseDecimals: swapResult.baseDecimals ?? null,
+        decimals: swapResult.purchasedDecimals ?? null,
         costBaseAmount,
+        costBaseRaw: swapResult.spentAmountRaw ?? null,
         marketCap,
         transactionSignature: swapResult.transactionSignature || null,
+        tokenProgram: swapResult.purchasedTokenProgram || null,
+        safety: swapResult.safety || null,
         targetProfitPercent,
+        resolvedBy: swapResult.resolvedBy || null,
       });
       if (!existing) {
         next.createdAt = now;
@@ -442,10 +642,21 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
       amountUi,
       costUsd: costBaseAmount ?? null,
       marketCap,
+      resolvedBy: swapResult.resolvedBy || null,
+      sizeMode: sizing?.mode || null,
+      sizeAmount: sizing?.amount ?? null,
+      sizeReason: sizing?.reason || null,
+      priorityFee: swapResult.priorityFee || null,
+      safetyWarnings: swapResult.safety?.warnings || null,
       transactionSignature: swapResult.transactionSignature || null,
     });
 
     await persistState("buy");
+    await startTokenCooldown(
+      getSignalKeys({ ticker, mint }).concat(
+        getSignalKeys({ ticker: swapResult.purchasedSymbol })
+      )
+    );
 
     const parts = [
       `• Bought: \`${ticker}\``,
@@ -453,6 +664,16 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
     if (swapResult.marketCapFormatted) {
       parts.push(`Market cap: ${swapResult.marketCapFormatted}`);
     }
+    if (swapResult.resolvedBy) {
+      parts.push(`Resolved by: ${swapResult.resolvedBy}`);
+    }
+    if (sizing?.reason) {
+      parts.push(`Size: ${sizing.reason}`);
+    }
+    const safetyLines = formatTokenSafetyLines(swapResult.safety);
+    if (safetyLines.length) {
+      parts.push("Safety:", ...safetyLines);
+    }
     if (swapResult.text) {
       parts.push(`Link: ${swapResult.text}`);
     }
@@ -465,65 +686,214 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
         (header ? `Header: ${header}\n` : "") +
         (link ? `Source: ${link}\n` : "") +
         (swapResult.text ? `Tx: ${swapResult.text}` : "");
-      await sendOutbound(client, outbound.trim());
+      await sendOutbound(client, markPaper(outbound.trim()));
     }
   }
 
-  async function handleSellPosition({ position, walletToken, baseToken }) {
+  /**
+   * Sells a position back to its base token. `exit.fraction` below 1 sells
+   * that share of the tracked amount and shrinks the position; otherwise the
+   * whole wallet balance is sold and the position is closed.
+   */
+  async function handleSellPosition({
+    position,
+    walletToken,
+    baseToken,
+    exit,
+  }) {
+    const exitReason = exit?.reason || null;
+    // Manual sells are how a parked position gets resolved; only automatic
+    // exits count towards the retry policy.
+    const automatic =
+      exitReason !== EXIT_REASONS.MANUAL &&
+      exitReason !== EXIT_REASONS.CLOSE_ALL;
+    if (sellsInFlight.has(position.mint)) return false;
+    let retryPolicy = null;
     try {
-      const rawAmount = walletToken?.rawAmount || position.amountRaw;
-      if (!rawAmount) return false;
+      sellsInFlight.add(position.mint);
+      const settings = await safeStore.getAll();
+      retryPolicy = resolveSellRetryPolicy(settings, {
+        defaultSlippageBps: getDefaultSlippageBps(),
+      });
+      const heldRawAmount = walletToken?.rawAmount || position.amountRaw;
+      if (!heldRawAmount) return false;
       if (!position.baseMint) return false;
+      const heldRaw = BigInt(heldRawAmount);
+      const basisRaw = BigInt(position.amountRaw || heldRawAmount);
+      const fraction = Number(exit?.fraction);
+      const partialRequested =
+        Number.isFinite(fraction) && fraction > 0 && fraction < 1;
+      let sellRaw = partialRequested
+        ? takeRawFraction(basisRaw, fraction)
+        : heldRaw;
+      if (sellRaw > heldRaw) sellRaw = heldRaw;
+      if (sellRaw <= 0n) return false;
+      const isPartial = partialRequested && sellRaw < basisRaw;
       const quote = await getSwapQuote({
         inputMint: position.mint,
         outputMint: position.baseMint,
-        amount: rawAmount,
+        amount: sellRaw.toString(),
+        slippageBps: Math.max(
+          Number(exit?.slippageBps || 0),
+          getRetrySlippageBps(
+            retryPolicy,
+            Number(position.sellRetry?.attempts || 0)
+          )
+        ),
+        paper: paperMode,
+      });
+      // Only profit-taking exits can afford to wait for a better price. Loss
+      // and time exits must get out even through a thin pool, and manual
+      // sells and close-all go through because the user asked.
+      const impactIssue =
+        PRICE_IMPACT_CAPPED_EXITS.has(exitReason) &&
+        checkPriceImpact(quote, resolvePriceImpactCaps(settings).auto);
+      // A refusal is not a failed sell: no retry is recorded, so the
+      // position keeps its stop-loss and time exits on the next ticks.
+      if (impactIssue) {
+        const now = Date.now();
+        const noticedAt = impactRefusalNotices.get(position.mint) || 0;
+        if (now - noticedAt >= IMPACT_REFUSAL_NOTICE_MS) {
+          impactRefusalNotices.set(position.mint, now);
+          await notifyAll(
+            `⚠️ Sell of ${position.symbol || position.mint} refused: ${
+              impactIssue.reason
+            }. It will be retried while the exit holds.`
+          );
+        }
+        return false;
+      }
+      impactRefusalNotices.delete(position.mint);
+      const { signature, priorityFee } = await executeSwapQuote(quote, {
+        paper: paperMode,
+        priorityFee: resolvePriorityFeeSettings(settings).sell,
       });
-      const signature = await executeSwapQuote(quote);
       const outRaw = quote?.outAmount || null;
       const baseDecimals =
         baseToken?.decimals ?? position.baseDecimals ?? 0;
-      const outUi =
-        outRaw && baseDecimals != null
-          ? Number(outRaw) / 10 ** Number(baseDecimals)
-          : null;
-      const costBaseAmount = Number(position.costBaseAmount || 0);
+      const outUi = rawToNumber(outRaw, baseDecimals);
+      const positionCost = Number(position.costBaseAmount || 0);
+      const soldShare = isPartial ? Number(sellRaw) / Number(basisRaw) : 1;
+      // With a raw cost the sold share and the profit are exact base units.
+      const costRaw =
+        position.costBaseRaw != null ? BigInt(position.costBaseRaw) : null;
+      const soldCostRaw =
+        costRaw != null && isPartial
+          ? scaleRawAmount(costRaw, sellRaw, basisRaw)
+          : costRaw;
+      const costBaseAmount =
+        soldCostRaw != null
+          ? rawToNumber(soldCostRaw, baseDecimals)
+          : positionCost * soldShare;
       const receivedBaseAmount = Number.isFinite(outUi) ? outUi : null;
       const profitBase =
-        receivedBaseAmount != null ? receivedBaseAmount - costBaseAmount : null;
+        outRaw && soldCostRaw != null
+          ? rawToNumber(BigInt(outRaw) - soldCostRaw, baseDecimals)
+          : receivedBaseAmount != null
+          ? receivedBaseAmount - costBaseAmount
+          : null;
       const profitPercent =
         profitBase != null && costBaseAmount > 0
           ? (profitBase / costBaseAmount) * 100
           : null;
 
-      positions.delete(position.mint);
+      if (isPartial) {
+        const keep = 1 - soldShare;
+        const remainingRaw = basisRaw - sellRaw;
+        const next = {
+          ...position,
+          amountRaw: remainingRaw.toString(),
+          amountUi:
+            position.decimals != null
+              ? rawToNumber(remainingRaw, position.decimals)
+              : Number(position.amountUi || 0) * keep,
+          costBaseAmount: positionCost * keep,
+          costUsd: positionCost * keep,
+          lastUpdatedAt: new Date().toISOString(),
+        };
+        if (costRaw != null) {
+          next.costBaseRaw = (costRaw - soldCostRaw).toString();
+          next.costBaseAmount = rawToNumber(next.costBaseRaw, baseDecimals);
+          next.costUsd = next.costBaseAmount;
+        }
+        clearSellRetry(next);
+        if (exit?.ladderStepsFired) {
+          next.ladderStepsFired = Array.from(
+            new Set([
+              ...(position.ladderStepsFired || []),
+              ...exit.ladderStepsFired,
+            ])
+          );
+          next.ladderSoldPercent =
+            Number(position.ladderSoldPercent || 0) +
+            Number(exit.ladderSellPercent || 0);
+        }
+        positions.set(position.mint, next);
+      } else {
+        positions.delete(position.mint);
+        summary.totalClosedTrades += 1;
+      }
 
-      summary.totalClosedTrades += 1;
       if (costBaseAmount > 0) {
         summary.totalInvestedUsd += costBaseAmount;
       }
       if (receivedBaseAmount != null) {
         summary.totalReturnedUsd += receivedBaseAmount;
       }
+      if (profitBase != null) {
+        recordRealizedPnl(summary, profitBase);
+      }
+      if (paperMode) {
+        applyPaperSell(getPaperWallet(), {
+          mint: position.mint,
+          rawAmount: sellRaw.toString(),
+          receivedUi: receivedBaseAmount,
+        });
+      }
 
       addHistory({
         type: "sell",
         mint: position.mint,
         symbol: position.symbol,
+        partial: isPartial,
+        soldShare,
+        amountRaw: sellRaw.toString(),
         costUsd: costBaseAmount,
         receivedUsd: receivedBaseAmount,
         profitUsd: profitBase,
         profitPercent,
+        exitReason,
+        ladderStep: exit?.ladderStep ?? null,
+        exitQuote: position.lastQuote || null,
+        priorityFee: priorityFee || null,
         buySignature: position.lastBuySignature || null,
         sellSignature: signature,
       });
 
-      await persistState("sell");
+      await persistState(isPartial ? "sell:partial" : "sell");
+      if (!isPartial) {
+        await startTokenCooldown(
+          getSignalKeys({ ticker: position.symbol, mint: position.mint })
+        );
+      }
 
-      const lines = [
-        `• Sold: ${position.symbol || position.mint}`,
-        `Tx: https://solscan.io/tx/${signature}`,
-      ];
+      const soldLabel = isPartial
+        ? ` ${(soldShare * 100).toFixed(0)}%`
+        : "";
+      const lines =
+        exitReason === EXIT_REASONS.EMERGENCY
+          ? [
+              `🚨 Emergency exit: ${position.symbol || position.mint}`,
+              `Trigger: ${exit.trigger} -${exit.dropPercent.toFixed(
+                1
+              )}% since the last check (limit ${exit.thresholdPercent}%)`,
+            ]
+          : [
+              `• Sold${soldLabel}${exitReason ? ` (${exitReason})` : ""}: ${
+                position.symbol || position.mint
+              }`,
+            ];
+      lines.push(`Tx: ${txLink(signature)}`);
       if (profitBase != null) {
         const sign = profitBase >= 0 ? "+" : "-";
         const abs = Math.abs(profitBase).toFixed(4);
@@ -535,12 +905,78 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
       }
       await notifyAll(lines.join("\n"));
       if (client) {
-        await sendOutbound(client, lines.join("\n"));
+        await sendOutbound(client, markPaper(lines.join("\n")));
       }
+      await tripRiskGuardIfNeeded();
       return true;
     } catch (err) {
       log.error?.("Failed to execute auto sell", err);
+      if (
+        automatic &&
+        retryPolicy &&
+        positions.get(position.mint) === position
+      ) {
+        const parked = recordSellFailure(position, retryPolicy, err);
+        await persistState("sell:failed");
+        if (parked) {
+          const label = position.symbol || position.mint;
+          await notifyAll(
+            [
+              `⚠️ ${label} needs manual attention: ${position.needsAttention.attempts} sell attempts failed.`,
+              `Last error: ${position.needsAttention.lastError}`,
+              `Automatic exits are paused for it. Sell it from Positions or use /retrysell ${label}.`,
+            ].join("\n")
+          );
+        }
+      }
       return false;
+    } finally {
+      sellsInFlight.delete(position.mint);
+    }
+  }
+
+  /**
+   * With `quoteExitPricing` on, exits are priced from a real sell quote for
+   * the whole position instead of the price API. Falls back to the API price
+   * when the quote fails.
+   */
+  async function priceForExit({
+    position,
+    baseToken,
+    apiPrice,
+    profitPercent,
+    settings,
+  }) {
+    const apiPricing = { price: apiPrice, profitPercent };
+    if (!settings?.quoteExitPricing) return apiPricing;
+    if (!position.amountRaw || !position.baseMint) return apiPricing;
+    try {
+      const quote = await getSwapQuote({
+        inputMint: position.mint,
+        outputMint: position.baseMint,
+        amount: String(position.amountRaw),
+        paper: paperMode,
+      });
+      const metrics = computeQuoteExitMetrics({
+        outAmountRaw: quote?.outAmount,
+        baseDecimals: baseToken?.decimals ?? position.baseDecimals,
+        amountUi: position.amountUi,
+        costBaseAmount: position.costBaseAmount,
+        apiPrice,
+      });
+      if (!metrics) return apiPricing;
+      position.lastQuote = { ...metrics, at: new Date().toISOString() };
+      return {
+        price: metrics.quotePrice,
+        profitPercent: metrics.profitPercent,
+        quoted: true,
+      };
+    } catch (err) {
+      log.warn?.(
+        `Exit quote failed for ${position.symbol || position.mint}:`,
+        err?.message || err
+      );
+      return apiPricing;
     }
   }
 
@@ -550,50 +986,102 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
     monitorPromise = (async () => {
       try {
         const settings = await safeStore.getAll();
-        const profitTarget = Number(settings?.profitTargetPercent || 0);
-        const phantomFeePercent = resolvePhantomSwapFeePercent(settings);
-        const effectiveTargetPercent =
-          profitTarget > 0 ? profitTarget + phantomFeePercent : 0;
-        if (!effectiveTargetPercent || effectiveTargetPercent <= 0) return;
-        const tokens = await fetchWalletTokens({ vsToken: settings.token });
+        if (!hasActiveExitRules(settings, positions.values())) return;
+        const tokens = await loadWalletTokens(settings.token);
         if (!tokens.length) return;
         const tokenMap = new Map(tokens.map((t) => [t.mint, t]));
+        let peaksMoved = false;
+        let quotesChanged = false;
         for (const position of positions.values()) {
           const token = tokenMap.get(position.mint);
           if (!token) continue;
+          if (token.tokenProgram && !position.tokenProgram) {
+            position.tokenProgram = token.tokenProgram;
+          }
           const baseToken = tokenMap.get(position.baseMint);
           const walletAmount = getWalletAmount(token, position);
           const avgEntryPrice = getAverageEntryPrice(position);
           const currentPrice = getTokenPriceUsd(token);
-          if (
-            walletAmount == null ||
-            avgEntryPrice == null ||
-            currentPrice == null ||
-            walletAmount <= 0 ||
-            avgEntryPrice <= 0
-          ) {
+          if (walletAmount == null || walletAmount <= 0) continue;
+          if (avgEntryPrice == null || currentPrice == null) {
+            // Without a price there is no PnL, but max-hold can still clear
+            // a dead token on age alone.
+            const staleExit =
+              !position.needsAttention && isSellRetryDue(position)
+                ? evaluateMaxHoldAge(position, settings)
+                : null;
+            if (staleExit) {
+              await handleSellPosition({
+                position,
+                walletToken: token,
+                baseToken,
+                exit: staleExit,
+              });
+            }
             continue;
           }
           const entryValue = walletAmount * avgEntryPrice;
           if (!Number.isFinite(entryValue) || entryValue <= 0) {
             continue;
           }
-          const currentValue = walletAmount * currentPrice;
+          // A Token-2022 transfer fee comes off the sale proceeds, not the
+          // cost, so only the current value is taken net of it.
+          const currentValue =
+            netOfTransferFee(walletAmount, token) * currentPrice;
           const profitPercent =
             entryValue > 0
               ? ((currentValue - entryValue) / entryValue) * 100
               : null;
+          const emergency = evaluateEmergencyExit({
+            position,
+            currentPrice,
+            liquidity: token.liquidity,
+            settings,
+            maxAgeMs: monitorIntervalMs * 3,
+          });
+          updateTickSnapshot(position, {
+            priceUsd: currentPrice,
+            liquidityUsd: token.liquidity,
+          });
+          if (position.needsAttention) continue;
+          const pricing = emergency
+            ? { price: currentPrice, profitPercent }
+            : await priceForExit({
+                position,
+                baseToken,
+                apiPrice: currentPrice,
+                profitPercent,
+                settings,
+              });
+          if (pricing.quoted) quotesChanged = true;
+          if (updatePeakPrice(position, pricing.price)) {
+            peaksMoved = true;
+          }
+          const exit =
+            emergency ||
+            evaluateExit({
+              position,
+              profitPercent: pricing.profitPercent,
+              avgEntryPrice,
+              currentPrice: pricing.price,
+              settings,
+            });
+          // A stop-loss does not wait out the backoff of an earlier failure.
           if (
-            profitPercent != null &&
-            profitPercent >= effectiveTargetPercent
+            exit &&
+            (BACKOFF_EXEMPT_EXITS.has(exit.reason) || isSellRetryDue(position))
           ) {
             await handleSellPosition({
               position,
               walletToken: token,
               baseToken,
+              exit,
             });
           }
         }
+        if (peaksMoved || quotesChanged) {
+          await persistState(peaksMoved ? "peak" : "quote");
+        }
       } catch (err) {
         log.error?.("Trading monitor error", err);
       }
@@ -612,48 +1100,245 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
       const inputPeer = await client.getInputEntity(msg.peerId);
       const chat = await client.getEntity(inputPeer);
       if (!/Chat|Channel/.test(chat.className || "")) return;
-      const txt = getText(msg);
-      if (!txt) return;
-      if (!hasNewTrending(txt)) return;
-      let ticker = extractTickerFromDev(txt) || extractTicker(txt);
-      if (!ticker) return;
       const settings = await safeStore.getAll();
-      const amount = Number(settings?.amount);
+      const chatKeys = getChatKeys(chat);
+      const parser =
+        parserRegistry.resolve(chatKeys) ||
+        resolveConfiguredParser(chatKeys, settings);
+      if (!parser) return;
+      const links = (msg.entities || [])
+        .map((entity) => entity?.url)
+        .filter(Boolean);
+      const signal = parseSignal(parser, {
+        rawText: msg.message || "",
+        links,
+      });
+      if (!signal) return;
+      const journal = (decision, reason, extra = {}) =>
+        recordSignal({
+          chat: {
+            id: chatKeys[0] || null,
+            keys: chatKeys,
+            username: chat.username || null,
+            title: chat.title || null,
+          },
+          messageId: msg.id ?? null,
+          rawText: msg.message || "",
+          parser: signal.parser,
+          parsed: {
+            ticker: signal.ticker,
+            mint: signal.mint,
+            confidence: signal.confidence,
+            extra: signal.extra,
+          },
+          decision,
+          reason,
+          mode: paperMode ? "paper" : "live",
+          ...extra,
+        });
+      if (!signal.ticker && !signal.mint) {
+        await journal(SIGNAL_DECISIONS.REJECTED, SIGNAL_REASONS.NO_TICKER);
+        return;
+      }
+      const ticker = signal.ticker || signal.mint;
+      const signalKeys = getSignalKeys(signal);
+      const gateSettings = resolveSignalGateSettings(settings);
+      const rejectDuplicate = async () => {
+        await journal(SIGNAL_DECISIONS.REJECTED, SIGNAL_REASONS.DUPLICATE);
+        await notifyAll(`Signal ${ticker} skipped (duplicate).`);
+      };
+      if (signalGate.isDuplicate(signalKeys)) {
+        await rejectDuplicate();
+        return;
+      }
+      const cooldownUntil = signalGate.getCooldownUntil(signalKeys);
+      if (cooldownUntil) {
+        const until = new Date(cooldownUntil).toISOString();
+        await journal(SIGNAL_DECISIONS.REJECTED, SIGNAL_REASONS.COOLDOWN, {
+          detail: `until ${until}`,
+        });
+        await notifyAll(`Signal ${ticker} skipped (cooldown until ${until}).`);
+        return;
+      }
       const token = settings?.token;
-      if (!amount || amount <= 0 || !token) {
+      const sizingMode = resolveSizingSettings(settings).mode;
+      const fixedAmount = Number(settings?.amount);
+      if (
+        !token ||
+        (sizingMode === SIZING_MODES.FIXED &&
+          (!fixedAmount || fixedAmount <= 0))
+      ) {
+        await journal(
+          SIGNAL_DECISIONS.REJECTED,
+          SIGNAL_REASONS.NOT_CONFIGURED
+        );
         await notifyAll(
           `Skipping signal ${ticker}: configure token and amount first.`
         );
         return;
       }
+      if (summary.buysHalted) {
+        await journal(SIGNAL_DECISIONS.REJECTED, SIGNAL_REASONS.BUYS_HALTED);
+        await notifyAll(`Signal ${ticker} skipped (buys halted).`);
+        return;
+      }
+      const riskTrip = await refreshRiskGuard();
+      if (riskTrip) {
+        await journal(SIGNAL_DECISIONS.REJECTED, SIGNAL_REASONS.RISK_GUARD, {
+          detail: riskTrip.detail,
+        });
+        await notifyAll(
+          `Signal ${ticker} skipped (risk guard: ${riskTrip.detail}).`
+        );
+        return;
+      }
+      // Tiered sizing needs the market cap, so it is resolved by the swap.
+      const sizeFromMarketCap = needsMarketCap(settings);
+      let size = null;
+      if (!sizeFromMarketCap) {
+        const baseBalance = needsBaseBalance(settings)
+          ? await readBaseBalance(token)
+          : null;
+        size = computePositionSize({ settings, baseBalance });
+        if (!(size.amount > 0)) {
+          await journal(SIGNAL_DECISIONS.REJECTED, SIGNAL_REASONS.SIZING, {
+            detail: size.reason,
+          });
+          await notifyAll(`Signal ${ticker} skipped (size: ${size.reason}).`);
+          return;
+        }
+      }
+      const exposureFor = (amount) =>
+        checkExposure({
+          positions: positions.values(),
+          mint: signal.mint,
+          symbol: signal.ticker,
+          amount,
+          settings,
+        });
+      const shortfall = size && paperShortfall(size.amount);
+      if (shortfall) {
+        await journal(SIGNAL_DECISIONS.REJECTED, SIGNAL_REASONS.SIZING, {
+          detail: shortfall,
+        });
+        await notifyAll(`Signal ${ticker} skipped (${shortfall}).`);
+        return;
+      }
+      const exposureIssue = exposureFor(size ? size.amount : 0);
+      if (exposureIssue) {
+        await journal(SIGNAL_DECISIONS.REJECTED, SIGNAL_REASONS.EXPOSURE, {
+          detail: exposureIssue,
+        });
+        await notifyAll(
+          `Signal ${ticker} skipped (exposure cap: ${exposureIssue}).`
+        );
+        return;
+      }
+      // Only a signal that passed the gates claims the dedup window; a repost
+      // that arrived while this one was being checked loses the race here.
+      if (!signalGate.markSeen(signalKeys, gateSettings.dedupWindowMs)) {
+        await rejectDuplicate();
+        return;
+      }
+      const impactCaps = resolvePriceImpactCaps(settings);
       const swapAttempt = await executeSwapWithTimeoutRetries({
-        ticker,
-        amount,
+        ticker: signal.ticker || "",
+        mint: signal.mint,
+        amount: size ? size.amount : 0,
         token,
         marketCapMinimum: settings?.marketCapMinimum,
+        priorityFee: resolvePriorityFeeSettings(settings).buy,
+        safety: resolveTokenSafetySettings(settings),
+        checkQuote: (quote) => {
+          const issue = checkPriceImpact(quote, impactCaps.auto);
+          return issue
+            ? { skipReason: SIGNAL_REASONS.PRICE_IMPACT, reason: issue.reason }
+            : null;
+        },
+        sizeAmount: sizeFromMarketCap
+          ? async ({ marketCap }) => {
+              const tiered = computePositionSize({ settings, marketCap });
+              const shortfall =
+                tiered.amount > 0 && paperShortfall(tiered.amount);
+              if (shortfall) {
+                return { ...tiered, amount: 0, reason: shortfall };
+              }
+              const issue = tiered.amount > 0 && exposureFor(tiered.amount);
+              if (!issue) return tiered;
+              return {
+                ...tiered,
+                amount: 0,
+                reason: `exposure cap: ${issue}`,
+                skipReason: SIGNAL_REASONS.EXPOSURE,
+              };
+            }
+          : null,
       });
       const swapResult = swapAttempt.result || {
         status: "error",
         text: `Swap failed for ${ticker}`,
       };
       if (swapResult.status !== "success") {
+        // A buy that may have landed keeps the window so a repost cannot
+        // buy the token twice.
+        if (swapResult.swapOutcome !== SWAP_OUTCOMES.UNKNOWN) {
+          signalGate.forgetSeen(signalKeys);
+        }
         if (swapAttempt.exhaustedTimeoutRetries) {
+          await journal(
+            SIGNAL_DECISIONS.REJECTED,
+            SIGNAL_REASONS.SWAP_TIMEOUT,
+            { detail: swapResult.text || null }
+          );
           await notifyAll(
             `Failed to buy ${ticker}: transaction timeout after ${swapAttempt.attempts} attempts.`
           );
           return;
         }
-        const statusText =
-          swapResult.status === "skipped"
-            ? "signal skipped"
-            : "swap error";
+        const skipped = swapResult.status === "skipped";
+        await journal(
+          SIGNAL_DECISIONS.REJECTED,
+          skipped
+            ? swapResult.skipReason || SIGNAL_REASONS.SWAP_SKIPPED
+            : SIGNAL_REASONS.SWAP_ERROR,
+          { detail: swapResult.text || null }
+        );
+        if (swapResult.swapOutcome === SWAP_OUTCOMES.UNKNOWN) {
+          // No position is opened for it, so a landed buy has to be
+          // handled by hand; /reconcile only lists such tokens as untracked.
+          const signature = swapResult.transactionSignature;
+          await notifyAll(
+            [
+              `⚠️ Buy of ${ticker} may have landed: ${swapResult.text}`,
+              signature ? `Tx: ${txLink(signature)}` : null,
+              "It was not retried and is not tracked as a position. If it landed, /reconcile lists the tokens as untracked; sell them manually.",
+            ]
+              .filter(Boolean)
+              .join("\n")
+          );
+          return;
+        }
+        if (
+          swapResult.skipReason === SIGNAL_REASONS.PRICE_IMPACT ||
+          swapResult.skipReason === SIGNAL_REASONS.TOKEN_SAFETY
+        ) {
+          await notifyAll(
+            `Signal ${ticker} refused: ${swapResult.skipDetail}.`
+          );
+          return;
+        }
+        const statusText = skipped ? "signal skipped" : "swap error";
         await notifyAll(`Failed to buy ${ticker}: ${statusText}.`);
         return;
       }
-      const header = getHeaderLine(txt);
+      await journal(SIGNAL_DECISIONS.ACCEPTED, SIGNAL_REASONS.BOUGHT, {
+        tradeId: swapResult.transactionSignature || null,
+      });
+      const header = signal.header;
       await handleBuySuccess({
         ticker,
         swapResult,
+        sizing: swapResult.sizing || size,
         header,
         chat,
         msg,
@@ -674,9 +1359,12 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
       throw new Error("Trading client is not configured");
     }
 
+    const startSettings = await safeStore.getAll();
+    paperMode = resolvePaperMode(startSettings);
+
     if (mongoIsActive()) {
       try {
-        const doc = await loadTradingState();
+        const doc = await loadTradingState(paperMode ? PAPER_NAMESPACE : null);
         if (doc) {
           positions = new Map(
             (doc.positions || []).map((entry) => [entry.mint, { ...entry }])
@@ -699,6 +1387,17 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
       history = [];
       summary = { ...DEFAULT_SUMMARY };
     }
+    if (paperMode && !summary.paperWallet) {
+      summary.paperWallet = createPaperWallet(startSettings);
+    }
+
+    if (positions.size) {
+      try {
+        await reconcilePositions({ notify: true });
+      } catch (err) {
+        log.error?.("Failed to reconcile positions", err);
+      }
+    }
 
     client = new TelegramClient(stringSession, apiId, apiHash, {
       connectionRetries: 5,
@@ -720,6 +1419,24 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
       "\n— store it in .env as SESSION."
     );
 
+    // JOIN_TARGET only seeds the channel map on first run; after that the map
+    // belongs to /channel, so removing the channel sticks across restarts.
+    const joinParsed = parseTMeLink(joinTarget);
+    if (
+      joinParsed?.type === "username" &&
+      startSettings.signalChannels == null &&
+      typeof safeStore.setSignalChannel === "function"
+    ) {
+      try {
+        await safeStore.setSignalChannel(
+          joinParsed.value,
+          BUILTIN_PARSERS.newTrending.name
+        );
+      } catch (err) {
+        log.error?.("Failed to register JOIN_TARGET channel", err);
+      }
+    }
+
     if (joinTarget) {
       try {
         await joinTargetChat(client, joinTarget);
@@ -737,6 +1454,9 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
     client.addEventHandler(handler, eventBuilder);
 
     monitorTimer = setInterval(() => {
+      refreshRiskGuard().catch((err) =>
+        log.error?.("Risk guard refresh failed", err)
+      );
       monitorPositions();
     }, monitorIntervalMs);
 
@@ -778,10 +1498,283 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
     return running;
   }
 
+  function isPaperMode() {
+    return paperMode;
+  }
+
   function getSummary() {
     return { ...summary };
   }
 
+  function findPosition(mintOrSymbol) {
+    const key = String(mintOrSymbol || "").trim();
+    if (positions.has(key)) return positions.get(key);
+    const symbol = key.replace(/^\$/, "").toUpperCase();
+    for (const position of positions.values()) {
+      const own = String(position.symbol || "")
+        .replace(/^\$/, "")
+        .toUpperCase();
+      if (own === symbol) return position;
+    }
+    return null;
+  }
+
+  /** Per-position stop-loss; null falls back to the global setting. */
+  async function setPositionStopLoss(mintOrSymbol, percent) {
+    const position = findPosition(mintOrSymbol);
+    if (!position) throw new Error("Position not found");
+    if (percent == null) {
+      delete position.stopLossPercent;
+    } else {
+      const n = Number(percent);
+      if (!Number.isFinite(n) || n < 0)
+        throw new Error("stopLossPercent must be a non-negative number");
+      position.stopLossPercent = n;
+    }
+    position.lastUpdatedAt = new Date().toISOString();
+    await persistState("update:stopLoss");
+    return { ...position };
+  }
+
+  async function getRiskGuardStatus() {
+    const settings = await safeStore.getAll();
+    return {
+      tripped: getRiskGuard().tripped || null,
+      dailyPnl: getDailyRealizedPnl(summary),
+      consecutiveLosses: Number(summary.consecutiveLosses || 0),
+      limits: resolveRiskLimits(settings),
+    };
+  }
+
+  /** Manual reset: resumes buys and restarts today's loss count from zero. */
+  async function resetRiskGuard() {
+    const wasTripped = Boolean(getRiskGuard().tripped);
+    const today = utcDateKey();
+    summary.riskGuard = {
+      tripped: null,
+      resetDate: today,
+      dailyBaseline: Number(summary.realizedByDay?.[today] || 0),
+    };
+    summary.consecutiveLosses = 0;
+    await persistState("risk:reset");
+    await notifyAll(
+      wasTripped
+        ? "✅ Risk guard reset manually. Buys resumed."
+        : "✅ Risk guard counters reset."
+    );
+    return getRiskGuardStatus();
+  }
+
+  /** Open positions with live prices, PnL and exit targets for the bot. */
+  async function listPositions() {
+    const settings = await safeStore.getAll();
+    let tokenMap = new Map();
+    if (positions.size) {
+      try {
+        const tokens = await loadWalletTokens(settings.token);
+        tokenMap = new Map(tokens.map((t) => [t.mint, t]));
+      } catch (err) {
+        log.error?.("Failed to load wallet tokens", err);
+      }
+    }
+    const now = Date.now();
+    return Array.from(positions.values()).map((position) => {
+      const amountUi = Number(position.amountUi || 0);
+      const costBaseAmount = Number(position.costBaseAmount || 0);
+      const walletToken = tokenMap.get(position.mint);
+      const currentPrice = getTokenPriceUsd(walletToken);
+      const value =
+        currentPrice != null
+          ? netOfTransferFee(amountUi, walletToken) * currentPrice
+          : null;
+      const unrealizedPnl = value != null ? value - costBaseAmount : null;
+      const openedAt = Date.parse(position.createdAt || "");
+      return {
+        mint: position.mint,
+        symbol: position.symbol || null,
+        baseSymbol: position.baseSymbol || settings.token || null,
+        amountUi,
+        avgEntryPrice: getAverageEntryPrice(position),
+        currentPrice,
+        unrealizedPnl,
+        unrealizedPercent:
+          unrealizedPnl != null && costBaseAmount > 0
+            ? (unrealizedPnl / costBaseAmount) * 100
+            : null,
+        ageMinutes: Number.isFinite(openedAt)
+          ? Math.floor((now - openedAt) / 60_000)
+          : null,
+        exitTargets: describeExitTargets(position, settings),
+        needsAttention: position.needsAttention || null,
+        sellRetry: position.sellRetry || null,
+        lastQuote: position.lastQuote || null,
+        tokenProgram:
+          position.tokenProgram || walletToken?.tokenProgram || null,
+        safetyWarnings: position.safety?.warnings || [],
+        transferFee: walletToken?.transferFee || null,
+      };
+    });
+  }
+
+  /** Clears the retry state so automatic exits resume for a position. */
+  async function clearSellAttention(mintOrSymbol) {
+    const position = findPosition(mintOrSymbol);
+    if (!position) throw new Error("Position not found");
+    clearSellRetry(position);
+    position.lastUpdatedAt = new Date().toISOString();
+    await persistState("update:sellRetry");
+    return { ...position };
+  }
+
+  /** Manual sell of `percent` of a position through the auto-sell path. */
+  async function sellPosition(mintOrSymbol, percent) {
+    const share = Number(percent);
+    if (!Number.isFinite(share) || share <= 0 || share > 100)
+      throw new Error("Sell percent must be between 0 and 100");
+    const position = findPosition(mintOrSymbol);
+    if (!position) throw new Error("Position not found");
+    if (sellsInFlight.has(position.mint))
+      throw new Error("A sell for this position is already running");
+    const settings = await safeStore.getAll();
+    const tokens = await loadWalletTokens(settings.token);
+    const walletToken = tokens.find((t) => t.mint === position.mint);
+    if (!walletToken) throw new Error("Token not found in the wallet");
+    const sold = await handleSellPosition({
+      position,
+      walletToken,
+      baseToken: tokens.find((t) => t.mint === position.baseMint),
+      exit: { reason: EXIT_REASONS.MANUAL, fraction: share / 100 },
+    });
+    if (!sold) throw new Error("Sell failed, see the engine log");
+    return positions.get(position.mint) || null;
+  }
+
+  /**
+   * Panic close: halts new buys, then sells every tracked position back to
+   * its base token one at a time. Buys stay halted until `resumeBuys()`.
+   */
+  async function closeAllPositions({ onProgress } = {}) {
+    summary.buysHalted = { at: new Date().toISOString(), reason: "close-all" };
+    await persistState("halt");
+    await notifyAll("🛑 Closing all positions. New buys are halted.");
+    if (monitorPromise) await monitorPromise;
+    const settings = await safeStore.getAll();
+    const targets = Array.from(positions.values());
+    const tokens = targets.length
+      ? await loadWalletTokens(settings.token)
+      : [];
+    const closed = [];
+    const failed = [];
+    for (const [index, position] of targets.entries()) {
+      const label = position.symbol || position.mint;
+      const walletToken = tokens.find((t) => t.mint === position.mint);
+      let error = null;
+      if (!walletToken) {
+        error = "not found in the wallet";
+      } else {
+        const sold = await handleSellPosition({
+          position,
+          walletToken,
+          baseToken: tokens.find((t) => t.mint === position.baseMint),
+          exit: { reason: EXIT_REASONS.CLOSE_ALL },
+        });
+        if (!sold) error = "sell failed";
+      }
+      if (error) {
+        failed.push({ mint: position.mint, symbol: label, error });
+      } else {
+        closed.push({ mint: position.mint, symbol: label });
+      }
+      try {
+        await onProgress?.({
+          done: index + 1,
+          total: targets.length,
+          symbol: label,
+          error,
+        });
+      } catch (err) {
+        log.error?.("Close-all progress callback failed", err);
+      }
+    }
+    return { closed, failed };
+  }
+
+  async function resumeBuys() {
+    if (!summary.buysHalted) return false;
+    summary.buysHalted = null;
+    await persistState("resume");
+    await notifyAll("▶️ New buys resumed.");
+    return true;
+  }
+
+  /**
+   * Brings tracked positions in line with the wallet: closes positions whose
+   * tokens are gone and shrinks ones the wallet holds less of. Extra and
+   * untracked holdings are only reported.
+   */
+  async function reconcilePositions({ notify = false } = {}) {
+    if (monitorPromise) await monitorPromise;
+    const settings = await safeStore.getAll();
+    const tokens = await loadWalletTokens(settings.token);
+    // Positions with a sell in flight are mid-update; leave them alone.
+    const tracked = Array.from(positions.values()).filter(
+      (position) => !sellsInFlight.has(position.mint)
+    );
+    const diff = diffPositionsWithWallet(tracked, tokens, {
+      ignoreMints: [
+        ...tracked.map((position) => position.baseMint),
+        ...sellsInFlight,
+      ],
+      ignoreSymbols: ["SOL", settings.token],
+    });
+    const now = new Date().toISOString();
+    for (const entry of diff.closed) {
+      positions.delete(entry.mint);
+      addHistory({ type: "reconcile", action: "closed", ...entry });
+    }
+    for (const entry of diff.shrunk) {
+      const position = positions.get(entry.mint);
+      if (!position) continue;
+      const share = Number(entry.heldRaw) / Number(entry.trackedRaw);
+      const next = {
+        ...position,
+        amountRaw: entry.heldRaw,
+        amountUi: entry.heldUi,
+        costBaseAmount: Number(position.costBaseAmount || 0) * share,
+        lastUpdatedAt: now,
+      };
+      if (position.costBaseRaw != null) {
+        next.costBaseRaw = scaleRawAmount(
+          position.costBaseRaw,
+          entry.heldRaw,
+          entry.trackedRaw
+        ).toString();
+        next.costBaseAmount =
+          rawToNumber(next.costBaseRaw, position.baseDecimals) ??
+          next.costBaseAmount;
+      }
+      next.costUsd = next.costBaseAmount;
+      positions.set(entry.mint, next);
+      addHistory({ type: "reconcile", action: "shrunk", ...entry });
+    }
+    if (diff.closed.length || diff.shrunk.length) {
+      await persistState("reconcile");
+    }
+    const report = formatReconcileReport(diff);
+    if (notify && hasReconcileDifferences(diff)) {
+      await notifyAll(report);
+    }
+    return { ...diff, report };
+  }
+
+  function registerSignalParser(chatKey, parser) {
+    parserRegistry.register(chatKey, parser);
+  }
+
+  function listSignalParsers() {
+    return parserRegistry.list();
+  }
+
   function addNotifyChat(chatId) {
     if (chatId != null) {
       notifyChatIds.add(chatId);
@@ -792,7 +1785,19 @@ export function createTradingEngine({ store, notifier, logger } = {}) {
     start,
     stop,
     isRunning,
+    isPaperMode,
     getSummary,
     addNotifyChat,
+    registerSignalParser,
+    listSignalParsers,
+    setPositionStopLoss,
+    getRiskGuardStatus,
+    resetRiskGuard,
+    listPositions,
+    sellPosition,
+    closeAllPositions,
+    resumeBuys,
+    reconcilePositions,
+    clearSellAttention,
   };
 }